@@ -0,0 +1,64 @@
+/**
+ * Watchdog face worker: runs the MediaPipe Face Landmarker off the main
+ * thread, so inference doesn't compete with rendering (see FaceInference in
+ * main.js, which falls back to the main thread if this can't start).
+ *
+ * A classic worker on purpose: MediaPipe loads its WASM loader with
+ * importScripts, which module workers don't have. The tasks-vision bundle is
+ * an ES module, so it comes in through import(); main.js passes its URL
+ * because the page's import map doesn't apply inside workers.
+ *
+ * main → worker  {type: "init", bundleUrl, wasmUrl, model, options}
+ *                {type: "options", options}
+ *                {type: "detect", frame: ImageBitmap, time}
+ * worker → main  {type: "ready", delegate} | {type: "log", message}
+ *                {type: "result", result, time, ms} | {type: "error", message}
+ */
+
+let landmarker = null;
+
+async function init({ bundleUrl, wasmUrl, model, options }) {
+  const { FilesetResolver, FaceLandmarker } = await import(bundleUrl);
+  const vision = await FilesetResolver.forVisionTasks(wasmUrl);
+  for (const delegate of ["GPU", "CPU"]) {
+    try {
+      landmarker = await FaceLandmarker.createFromModelBuffer(vision, model);
+      await landmarker.setOptions({ ...options, baseOptions: { delegate } });
+      return delegate;
+    } catch (e) {
+      if (delegate === "CPU") throw e;
+      const message = `Face worker: GPU failed (${e.message || e}), trying CPU.`;
+      postMessage({ type: "log", message });
+    }
+  }
+  return null;
+}
+
+// The frame is closed here whatever happens; main.js transferred it to us.
+function detect({ frame, time }) {
+  const start = performance.now();
+  try {
+    const result = landmarker.detectForVideo(frame, time);
+    postMessage({ type: "result", result, time, ms: performance.now() - start });
+  } catch (e) {
+    postMessage({ type: "error", message: e.message || String(e) });
+  } finally {
+    frame.close();
+  }
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === "init") {
+    init(data).then(
+      (delegate) => postMessage({ type: "ready", delegate }),
+      (e) => postMessage({ type: "error", message: e.message || String(e) })
+    );
+  } else if (data.type === "options" && landmarker) {
+    landmarker
+      .setOptions(data.options)
+      .catch((e) => postMessage({ type: "error", message: e.message || String(e) }));
+  } else if (data.type === "detect") {
+    if (landmarker) detect(data);
+    else data.frame.close();
+  }
+};
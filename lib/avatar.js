@@ -0,0 +1,671 @@
+/**
+ * The avatar: a GLB (or the ? placeholder) posed from a face matrix, with
+ * morph targets driven by retargeted blendshapes, appearance presets and
+ * attached accessories. Needs a THREE.Scene, not a WebGL context.
+ */
+
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { logMsg } from "./log.js";
+import {
+  ACCESSORY_BOX_ANCHORS,
+  APPEARANCE_DEFAULTS,
+  AVATAR_DEPTH,
+  AVATAR_REST_SCALE,
+  AVATAR_SCALE,
+  HEAD_POSE_DEFAULTS,
+} from "./config.js";
+import { mapHeadPose } from "./head-pose.js";
+import {
+  compileRetargetProfile,
+  DEFAULT_RETARGET_PROFILE,
+  getRetargetProfileUrl,
+  MEDIAPIPE_BLENDSHAPES,
+  mirrorCategoryName,
+  resolveRetargetCategory,
+} from "./retarget.js";
+import { DERIVED_CATEGORIES } from "./expressions.js";
+import { getAccessoryRecord, modelSourceFromFiles } from "./model-store.js";
+
+export class Avatar {
+  constructor(url, scene, options = {}) {
+    this.scene = scene;
+    this.textureUrl = options.textureUrl || null;
+    this.appearance = {
+      ...APPEARANCE_DEFAULTS,
+      ...(options.tint ? { tint: options.tint } : {}),
+      ...options.appearance,
+    };
+    this.texture = null;
+    this.originalMaterials = new Map(); // mesh -> material as loaded from the GLB
+    this.appearanceMaterials = [];
+    this.hologramUniforms = { uTime: { value: 0 } };
+    this.visible = options.visible ?? true;
+    this.loader = new GLTFLoader();
+    this.gltf = null;
+    this.root = null;
+    this.placeholderMesh = null;
+    this.morphTargetMeshes = [];
+    this.retargetProfile = DEFAULT_RETARGET_PROFILE;
+    this.headPose = { ...HEAD_POSE_DEFAULTS };
+    this.accessories = new AccessoryRig(this);
+    this.accessories.items = options.accessories || [];
+    // Called when the model (or a retarget profile for it) finishes loading.
+    this.onLoad = null;
+    // Show a simple hologram placeholder immediately so something is always visible
+    // (options.placeholder: false skips it, e.g. without a DOM in the tests).
+    if (options.placeholder !== false) this.showPlaceholder();
+    // No url: the caller hands over a parsed glTF with setModel.
+    if (url) {
+      this.loadModel(url, {
+        urlModifier: options.urlModifier,
+        retargetProfileUrl: options.retargetProfileUrl,
+      });
+    }
+  }
+
+  // options.textureUrl: texture to apply (null = keep the model's own materials;
+  //   omitted = keep the current one).
+  // options.urlModifier: maps resource URLs (e.g. a .gltf's .bin and images) to blob URLs.
+  // options.retargetProfileUrl: explicit profile URL, or null to skip looking for one.
+  loadModel(url, options = {}) {
+    logMsg(`Loading avatar: ${url}`, "model");
+    if (options.textureUrl !== undefined) this.textureUrl = options.textureUrl;
+    const profileUrl =
+      options.retargetProfileUrl !== undefined
+        ? options.retargetProfileUrl
+        : getRetargetProfileUrl(url);
+    if (profileUrl) this.loadRetargetProfile(profileUrl);
+    else this.retargetProfile = DEFAULT_RETARGET_PROFILE;
+    let loader = this.loader;
+    if (options.urlModifier) {
+      const manager = new THREE.LoadingManager();
+      manager.setURLModifier(options.urlModifier);
+      loader = new GLTFLoader(manager);
+    }
+    loader.load(
+      url,
+      (gltf) => this.setModel(gltf),
+      undefined,
+      (err) => {
+        if (this.gltf) {
+          logMsg(`Avatar load failed: ${err}. Keeping the current model.`, "model", "error");
+          return;
+        }
+        logMsg(`Watchdog load failed: ${err}. Showing ? placeholder.`, "model", "error");
+        this.showPlaceholder();
+      }
+    );
+  }
+
+  // Show a loaded glTF in place of the current model (or the placeholder),
+  // with this.textureUrl applied if there is one.
+  setModel(gltf) {
+    if (this.gltf) {
+      this.scene.remove(this.gltf.scene);
+      this.morphTargetMeshes = [];
+      this.originalMaterials = new Map();
+      this.root = null;
+    }
+    this.gltf = gltf;
+    if (this.textureUrl) {
+      const texUrl = this.textureUrl.startsWith("http")
+        ? this.textureUrl
+        : new URL(this.textureUrl, window.location.href).href;
+      const texLoader = new THREE.TextureLoader();
+      texLoader.load(
+        texUrl,
+        (texture) => {
+          texture.encoding = THREE.sRGBEncoding;
+          this.texture = texture;
+          this.addToScene();
+        },
+        undefined,
+        () => {
+          logMsg("Texture failed, using model default.", "model", "warn");
+          this.texture = null;
+          this.addToScene();
+        }
+      );
+    } else {
+      this.texture = null;
+      this.addToScene();
+    }
+  }
+
+  // Optional "<model>.retarget.json" next to the GLB; the default gains apply otherwise.
+  loadRetargetProfile(profileUrl) {
+    this.retargetProfile = DEFAULT_RETARGET_PROFILE;
+    fetch(profileUrl)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((profile) => {
+        if (!profile) {
+          logMsg("No retarget profile next to model; using default gains.", "model");
+          return;
+        }
+        compileRetargetProfile(profile);
+        this.retargetProfile = profile;
+        logMsg(`Retarget profile loaded: ${profile.name || profileUrl}`, "model");
+        if (this.gltf) this.onLoad?.(this);
+      })
+      .catch((err) => {
+        logMsg(
+          `Retarget profile error (${profileUrl}): ${err.message || err}. Using default gains.`,
+          "model",
+          "warn"
+        );
+      });
+  }
+
+  addToScene() {
+    this.gltf.scene.visible = this.visible;
+    this.scene.add(this.gltf.scene);
+    this.init(this.gltf);
+    this.applyAppearance();
+    this.normalizeAndCenter();
+    this.setVisiblePosition();
+    this.accessories.attach();
+    // Replace placeholder hologram with real dog once loaded.
+    if (this.placeholderMesh) {
+      this.scene.remove(this.placeholderMesh);
+      this.placeholderMesh = null;
+    }
+    logMsg("Avatar loaded.", "model");
+    this.onLoad?.(this);
+  }
+
+  setAppearance(appearance) {
+    this.appearance = { ...this.appearance, ...appearance };
+    this.applyAppearance();
+  }
+
+  // Swap every mesh's material for the current preset. Texture: the override
+  // image if one was given (e.g. Watchdog Image.png), else the model's own map.
+  applyAppearance() {
+    if (!this.gltf) return;
+    for (const material of this.appearanceMaterials) material.dispose();
+    this.appearanceMaterials = [];
+    const { preset, tint, opacity } = this.appearance;
+    for (const [mesh, original] of this.originalMaterials) {
+      if (preset === "original" && opacity >= 1) {
+        mesh.material = original;
+        continue;
+      }
+      const originals = Array.isArray(original) ? original : [original];
+      const created = originals.map((source) =>
+        createAppearanceMaterial(preset, source, {
+          tint,
+          opacity,
+          texture: this.texture,
+          uniforms: this.hologramUniforms,
+        })
+      );
+      this.appearanceMaterials.push(...created);
+      mesh.material = created.length === 1 ? created[0] : created;
+      mesh.onBeforeRender = () => {
+        this.hologramUniforms.uTime.value = performance.now() / 1000;
+      };
+    }
+  }
+
+  // A glTF-exportable stand-in for a mesh's current look (custom shaders and
+  // toon materials can't be written to glTF, so those export as 'lit').
+  exportMaterial(mesh) {
+    const original = this.originalMaterials.get(mesh);
+    if (!original || this.appearance.preset === "original") return original || mesh.material;
+    const originals = Array.isArray(original) ? original : [original];
+    const preset = this.appearance.preset === "wireframe" ? "wireframe" : "lit";
+    const materials = originals.map((source) =>
+      createAppearanceMaterial(preset, source, { ...this.appearance, texture: this.texture })
+    );
+    return materials.length === 1 ? materials[0] : materials;
+  }
+
+  // Which MediaPipe categories drive at least one of this model's morph
+  // targets under its retarget profile, and which drive nothing.
+  blendshapeReport() {
+    const compiled = compileRetargetProfile(this.retargetProfile);
+    const morphNames = new Set();
+    for (const mesh of this.morphTargetMeshes) {
+      for (const name of Object.keys(mesh.morphTargetDictionary)) morphNames.add(name);
+    }
+    const drives = (category) => {
+      const name = compiled.mirror ? mirrorCategoryName(category) : category;
+      const { targets } = resolveRetargetCategory(compiled, name);
+      return targets.some((t) => morphNames.has(t.name));
+    };
+    const supported = [];
+    const missing = [];
+    for (const category of MEDIAPIPE_BLENDSHAPES) {
+      (drives(category) ? supported : missing).push(category);
+    }
+    const derived = DERIVED_CATEGORIES.filter(drives);
+    return { supported, missing, derived, morphTargets: [...morphNames] };
+  }
+
+  init(gltf) {
+    gltf.scene.traverse((obj) => {
+      if (obj.isBone && !this.root) this.root = obj;
+      if (!obj.isMesh) return;
+      obj.frustumCulled = false;
+      this.originalMaterials.set(obj, obj.material);
+      if (obj.morphTargetDictionary && obj.morphTargetInfluences) {
+        this.morphTargetMeshes.push(obj);
+      }
+    });
+  }
+
+  // Normalize model size and center it so it always fits the camera view.
+  normalizeAndCenter() {
+    if (!this.gltf) return;
+    const s = this.gltf.scene;
+    const box = new THREE.Box3().setFromObject(s);
+    if (!box.isEmpty()) {
+      const size = new THREE.Vector3();
+      const center = new THREE.Vector3();
+      box.getSize(size);
+      box.getCenter(center);
+      const maxSize = Math.max(size.x, size.y, size.z) || 1;
+      const targetUnitSize = 1; // normalize model so its largest dimension is ~1
+      const scaleFactor = targetUnitSize / maxSize;
+      s.scale.multiplyScalar(scaleFactor);
+      s.position.sub(center); // move model so its center is at origin
+
+      logMsg(
+        `Avatar bbox size: ${size.x.toFixed(2)} x ${size.y.toFixed(2)} x ${size.z.toFixed(
+          2
+        )}, scaleFactor=${scaleFactor.toFixed(3)}`,
+        "model",
+        "debug"
+      );
+    }
+  }
+
+  setVisiblePosition() {
+    const object = this.placeholderMesh || this.gltf?.scene;
+    if (!object) return;
+    object.position.set(0, 0, AVATAR_DEPTH);
+    object.scale.setScalar(AVATAR_REST_SCALE);
+    object.rotation.set(0, 0, 0);
+    object.matrixAutoUpdate = true;
+  }
+
+  showPlaceholder() {
+    if (this.placeholderMesh) return; // already created
+    // Mirrored, so the texture reads the right way round through the
+    // canvas's own mirror (style.css), at rest and while tracked alike.
+    const geo = new THREE.PlaneGeometry(1, 1).scale(-1, 1, 1);
+    const loader = new THREE.TextureLoader();
+    const texUrl = new URL("wireframe-face.png", window.location.href).href;
+
+    loader.load(
+      texUrl,
+      (tex) => {
+        tex.encoding = THREE.sRGBEncoding;
+        const mat = new THREE.MeshBasicMaterial({
+          map: tex,
+          transparent: true,
+          side: THREE.DoubleSide,
+          depthWrite: true,
+        });
+        this.placeholderMesh = new THREE.Mesh(geo, mat);
+        this.placeholderMesh.frustumCulled = false;
+        this.placeholderMesh.visible = this.visible;
+        this.scene.add(this.placeholderMesh);
+        this.setVisiblePosition();
+        logMsg("Wireframe hologram placeholder loaded.", "model");
+      },
+      undefined,
+      () => {
+        // Fallback to simple ? canvas if texture is missing.
+        const canvas = document.createElement("canvas");
+        const size = 256;
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext("2d");
+        ctx.fillStyle = "#000";
+        ctx.fillRect(0, 0, size, size);
+        ctx.fillStyle = "#fff";
+        ctx.font = "bold 180px system-ui, sans-serif";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText("?", size / 2, size / 2);
+        const texFallback = new THREE.CanvasTexture(canvas);
+        texFallback.encoding = THREE.sRGBEncoding;
+        const mat = new THREE.MeshBasicMaterial({
+          map: texFallback,
+          transparent: true,
+          side: THREE.DoubleSide,
+          depthWrite: true,
+        });
+        this.placeholderMesh = new THREE.Mesh(geo, mat);
+        this.placeholderMesh.frustumCulled = false;
+        this.placeholderMesh.visible = this.visible;
+        this.scene.add(this.placeholderMesh);
+        this.setVisiblePosition();
+        logMsg("Wireframe hologram missing, using ? placeholder.", "model", "warn");
+      }
+    );
+  }
+
+  updateBlendshapes(blendshapes) {
+    if (this.placeholderMesh) return;
+    for (const mesh of this.morphTargetMeshes) {
+      if (!mesh.morphTargetDictionary || !mesh.morphTargetInfluences) continue;
+      for (const [name, value] of blendshapes) {
+        if (name in mesh.morphTargetDictionary) {
+          mesh.morphTargetInfluences[mesh.morphTargetDictionary[name]] = value;
+        }
+      }
+    }
+  }
+
+  setVisible(visible) {
+    this.visible = visible;
+    if (this.placeholderMesh) this.placeholderMesh.visible = visible;
+    if (this.gltf) this.gltf.scene.visible = visible;
+  }
+
+  // The transform applyMatrix gives the model for a face matrix, after the
+  // head pose mapping (this.headPose, set by FaceTracker.configureHeadPose).
+  // options.scale: the avatar's size, AVATAR_SCALE unless given.
+  // options.headPose: head pose settings to use instead of this.headPose.
+  poseMatrix(matrix, options = {}) {
+    const { scale = AVATAR_SCALE, headPose = this.headPose } = options;
+    return mapHeadPose(matrix, headPose).scale(new THREE.Vector3(scale, scale, scale));
+  }
+
+  applyMatrix(matrix, options = {}) {
+    this.setTransform(this.poseMatrix(matrix, options));
+  }
+
+  // Place the model (or placeholder) with a final transform.
+  setTransform(m) {
+    if (this.placeholderMesh) {
+      this.placeholderMesh.matrixAutoUpdate = false;
+      this.placeholderMesh.matrix.copy(m);
+      return;
+    }
+    if (!this.gltf) return;
+    this.gltf.scene.matrixAutoUpdate = false;
+    this.gltf.scene.matrix.copy(m);
+  }
+
+  // The transform setVisiblePosition gives, i.e. where the avatar sits
+  // before any face has been tracked.
+  restTransform() {
+    return new THREE.Matrix4().compose(
+      new THREE.Vector3(0, 0, AVATAR_DEPTH),
+      new THREE.Quaternion(),
+      new THREE.Vector3().setScalar(AVATAR_REST_SCALE)
+    );
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Appearance (material presets for the avatar)
+// ---------------------------------------------------------------------------
+
+const HOLOGRAM_VERTEX_SHADER = /* glsl */ `
+  #include <common>
+  #include <morphtarget_pars_vertex>
+  #include <skinning_pars_vertex>
+  varying vec2 vMapUv;
+  varying vec3 vViewNormal;
+  varying vec3 vViewPosition;
+  void main() {
+    vMapUv = uv;
+    #include <beginnormal_vertex>
+    #include <morphnormal_vertex>
+    #include <skinbase_vertex>
+    #include <skinnormal_vertex>
+    #include <defaultnormal_vertex>
+    #include <begin_vertex>
+    #include <morphtarget_vertex>
+    #include <skinning_vertex>
+    #include <project_vertex>
+    vViewNormal = normalize(transformedNormal);
+    vViewPosition = -mvPosition.xyz;
+  }
+`;
+
+const HOLOGRAM_FRAGMENT_SHADER = /* glsl */ `
+  uniform sampler2D uMap;
+  uniform float uHasMap;
+  uniform vec3 uTint;
+  uniform float uOpacity;
+  uniform float uTime;
+  varying vec2 vMapUv;
+  varying vec3 vViewNormal;
+  varying vec3 vViewPosition;
+  void main() {
+    vec3 base = uTint;
+    if (uHasMap > 0.5) base *= texture2D(uMap, vMapUv).rgb;
+    // Fresnel rim: bright where the surface turns away from the camera.
+    float rim = pow(1.0 - abs(dot(normalize(vViewNormal), normalize(vViewPosition))), 2.0);
+    // Scanlines in screen space, drifting slowly upward.
+    float scan = 0.75 + 0.25 * sin(gl_FragCoord.y * 1.5 - uTime * 6.0);
+    vec3 color = base * scan + uTint * rim * 1.5;
+    gl_FragColor = vec4(color, clamp(uOpacity * mix(0.7, 1.0, rim), 0.0, 1.0));
+    #include <encodings_fragment>
+  }
+`;
+
+let toonGradientMap = null;
+
+// Three-step ramp for MeshToonMaterial.
+function getToonGradientMap() {
+  if (toonGradientMap) return toonGradientMap;
+  toonGradientMap = new THREE.DataTexture(new Uint8Array([80, 160, 255]), 3, 1, THREE.RedFormat);
+  toonGradientMap.minFilter = THREE.NearestFilter;
+  toonGradientMap.magFilter = THREE.NearestFilter;
+  toonGradientMap.needsUpdate = true;
+  return toonGradientMap;
+}
+
+// source: the mesh's original material (for 'original', and its map as a
+// fallback texture). uniforms: shared { uTime } for the hologram shader.
+function createAppearanceMaterial(preset, source, { tint, opacity, texture, uniforms }) {
+  const map = texture || source?.map || null;
+  const color = new THREE.Color(tint);
+  const transparent = opacity < 1;
+  switch (preset) {
+    case "original": {
+      const material = source.clone();
+      material.opacity = (source.opacity ?? 1) * opacity;
+      material.transparent = source.transparent || transparent;
+      return material;
+    }
+    case "lit":
+      return new THREE.MeshStandardMaterial({
+        map,
+        color,
+        roughness: 0.6,
+        metalness: 0.1,
+        transparent,
+        opacity,
+        side: THREE.DoubleSide,
+      });
+    case "toon":
+      return new THREE.MeshToonMaterial({
+        map,
+        color,
+        gradientMap: getToonGradientMap(),
+        transparent,
+        opacity,
+        side: THREE.DoubleSide,
+      });
+    case "wireframe":
+      return new THREE.MeshBasicMaterial({ color, wireframe: true, transparent, opacity });
+    default:
+      return new THREE.ShaderMaterial({
+        uniforms: {
+          uMap: { value: map },
+          uHasMap: { value: map ? 1 : 0 },
+          uTint: { value: color },
+          uOpacity: { value: opacity },
+          uTime: uniforms ? uniforms.uTime : { value: 0 },
+        },
+        vertexShader: HOLOGRAM_VERTEX_SHADER,
+        fragmentShader: HOLOGRAM_FRAGMENT_SHADER,
+        transparent: true,
+        side: THREE.DoubleSide,
+      });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Accessories (extra GLBs attached to anchors on the avatar)
+// ---------------------------------------------------------------------------
+
+// Accessory GLBs by asset key ('db:<id>'), each loaded once and normalized
+// to a unit-sized, centered template that every avatar clones.
+export const accessoryAssets = new Map();
+
+function loadAccessoryAsset(asset) {
+  if (!accessoryAssets.has(asset)) {
+    const loading = getAccessoryRecord(Number(asset.slice(3)))
+      .then((record) => {
+        if (!record) throw new Error("no longer stored in this browser");
+        const source = modelSourceFromFiles(record.files, asset);
+        const manager = new THREE.LoadingManager();
+        manager.setURLModifier(source.urlModifier);
+        return new Promise((resolve, reject) => {
+          new GLTFLoader(manager).load(source.url, resolve, undefined, reject);
+        }).finally(source.revoke);
+      })
+      .then((gltf) => {
+        const content = gltf.scene;
+        const box = new THREE.Box3().setFromObject(content);
+        const size = box.getSize(new THREE.Vector3());
+        content.position.sub(box.getCenter(new THREE.Vector3()));
+        content.traverse((obj) => {
+          if (obj.isMesh) obj.frustumCulled = false;
+        });
+        const template = new THREE.Group();
+        template.add(content);
+        template.scale.setScalar(1 / (Math.max(size.x, size.y, size.z) || 1));
+        return template;
+      })
+      .catch((e) => {
+        logMsg(`Accessory ${asset} failed to load: ${e.message || e}`, "model", "error");
+        accessoryAssets.delete(asset);
+        throw e;
+      });
+    accessoryAssets.set(asset, loading);
+  }
+  return accessoryAssets.get(asset);
+}
+
+// The accessories worn by one avatar. Items are outfit entries
+// ({ id, asset, name, anchor, offset, rotation, scale }, see
+// ACCESSORY_DEFAULTS); each is a Group under its anchor inside the model's
+// scene, so it follows applyMatrix and setTransform with the rest of the head.
+class AccessoryRig {
+  constructor(avatar) {
+    this.avatar = avatar;
+    this.items = [];
+    this.anchorRoot = null;
+    this.anchors = new Map(); // 'box:top', 'node:Head' -> { object, scale }
+    this.attached = new Map(); // item id -> Group
+    this.headSize = 1;
+    this.warned = new Set();
+    // Called after the anchors are rebuilt for a newly loaded model.
+    this.onAnchors = null;
+  }
+
+  setItems(items) {
+    this.items = items;
+    this.attach();
+  }
+
+  anchorNames() {
+    return [...this.anchors.keys()];
+  }
+
+  // Box anchors go at fixed fractions of the model's bounds in its own space,
+  // turned so their +z is the side facing the camera at rest.
+  // Node anchors remember their scale relative to the model, so offsets and
+  // sizes mean the same under any node.
+  buildAnchors(root) {
+    this.anchorRoot = root;
+    this.anchors = new Map();
+    this.warned.clear();
+    root.updateMatrixWorld(true);
+    const toLocal = root.matrixWorld.clone().invert();
+    const relative = new THREE.Matrix4();
+    const scale = new THREE.Vector3();
+    root.traverse((obj) => {
+      if (obj === root || !obj.name || this.anchors.has(`node:${obj.name}`)) return;
+      scale.setFromMatrixScale(relative.multiplyMatrices(toLocal, obj.matrixWorld));
+      const average = (scale.x + scale.y + scale.z) / 3;
+      this.anchors.set(`node:${obj.name}`, { object: obj, scale: average });
+    });
+
+    const box = new THREE.Box3().setFromObject(root).applyMatrix4(toLocal);
+    const min = box.min;
+    const size = box.getSize(new THREE.Vector3());
+    this.headSize = Math.max(size.x, size.y, size.z) || 1;
+    const eye = new THREE.Vector3().applyMatrix4(toLocal);
+    const front = eye.z < (min.z + box.max.z) / 2 ? -1 : 1;
+    for (const [name, [x, y, z]] of Object.entries(ACCESSORY_BOX_ANCHORS)) {
+      const object = new THREE.Object3D();
+      object.name = `accessory-anchor-${name}`;
+      const depth = front > 0 ? z : 1 - z;
+      object.position.set(min.x + x * size.x, min.y + y * size.y, min.z + depth * size.z);
+      if (front < 0) object.rotation.y = Math.PI;
+      root.add(object);
+      this.anchors.set(`box:${name}`, { object, scale: 1 });
+    }
+    this.onAnchors?.(this);
+  }
+
+  // (Re)attach every item to the current model; called after each model load
+  // and whenever the outfit changes. Nothing shows on the placeholder.
+  attach() {
+    for (const group of this.attached.values()) group.removeFromParent();
+    this.attached.clear();
+    // Wait for addToScene: the anchors are measured from the rest pose.
+    const root = this.avatar.gltf?.scene;
+    if (!root?.parent) return;
+    if (this.anchorRoot !== root) this.buildAnchors(root);
+    for (const item of this.items) {
+      const anchor = this.anchors.get(item.anchor);
+      if (!anchor) {
+        if (!this.warned.has(item.id)) {
+          const message = `Accessory ${item.name}: this model has no anchor ${item.anchor}.`;
+          logMsg(message, "model", "warn");
+          this.warned.add(item.id);
+        }
+        continue;
+      }
+      const group = new THREE.Group();
+      group.name = `accessory-${item.name}`;
+      this.place(group, item, anchor);
+      anchor.object.add(group);
+      this.attached.set(item.id, group);
+      loadAccessoryAsset(item.asset).then(
+        (template) => {
+          if (this.attached.get(item.id) === group) group.add(template.clone(true));
+        },
+        () => {} // logged once by loadAccessoryAsset
+      );
+    }
+  }
+
+  // Apply an edited item: just move it if it stays on the same anchor.
+  refresh(item) {
+    const group = this.attached.get(item.id);
+    const anchor = this.anchors.get(item.anchor);
+    if (group && anchor && group.parent === anchor.object) this.place(group, item, anchor);
+    else this.attach();
+  }
+
+  // offset is in head sizes, rotation in degrees, scale relative to the head.
+  place(group, item, anchor) {
+    const unit = this.headSize / anchor.scale;
+    group.position.fromArray(item.offset).multiplyScalar(unit);
+    group.rotation.set(...item.rotation.map((deg) => THREE.MathUtils.degToRad(deg)));
+    group.scale.setScalar(item.scale * unit);
+  }
+}
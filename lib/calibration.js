@@ -0,0 +1,186 @@
+/**
+ * Calibration: a guided sequence (neutral pose, then mouth, brows, blink and
+ * smile) that captures this user's rest pose and blendshape ranges, saved per
+ * device. The profile neutralizes face matrices and normalizes scores for
+ * retarget().
+ */
+
+import * as THREE from "three";
+import { logMsg } from "./log.js";
+import { clearSettings, loadSettings, saveSettings } from "./config.js";
+
+// Give up on a calibration step if no face is seen for this long.
+const CALIBRATION_TIMEOUT_MS = 7000;
+// Categories whose captured range is smaller than this were not really
+// exercised, so they keep the fixed BLENDSHAPE_GAIN instead.
+const CALIBRATION_MIN_RANGE = 0.1;
+// Face gaps longer than this don't count toward a step's duration.
+const CALIBRATION_MAX_FRAME_GAP_MS = 500;
+const CALIBRATION_VERSION = 1;
+
+const CALIBRATION_STEPS = [
+  { id: "neutral", prompt: "Calibrating… relax and look straight at the camera.", durationMs: 2000 },
+  { id: "mouth", prompt: "Calibrating… open your mouth wide.", durationMs: 2000 },
+  { id: "brows", prompt: "Calibrating… raise your eyebrows.", durationMs: 2000 },
+  { id: "blink", prompt: "Calibrating… close your eyes, then open them.", durationMs: 2500 },
+  { id: "smile", prompt: "Calibrating… give a big smile.", durationMs: 2000 },
+];
+
+export class Calibrator {
+  constructor() {
+    // 'idle' -> 'calibrating' -> 'success' or 'failed'
+    this.state = "idle";
+    this.profile = this.loadProfile();
+    this.timeoutId = null;
+    this.onChange = null;
+    // Called with (text, hide) for the status line: step prompts and the outcome.
+    this.onStatus = null;
+  }
+
+  setStatus(text, hide = false) {
+    this.onStatus?.(text, hide);
+  }
+
+  loadProfile() {
+    const saved = loadSettings("calibration", {});
+    if (saved.version !== CALIBRATION_VERSION || !Array.isArray(saved.neutralMatrix)) return null;
+    const neutral = new THREE.Matrix4().fromArray(saved.neutralMatrix);
+    return { ...saved, neutralInverse: this.restRotationInverse(neutral) };
+  }
+
+  clear() {
+    this.profile = null;
+    clearSettings("calibration");
+    logMsg("Calibration cleared; using default blendshape gains.", "tracking");
+    this.onChange?.();
+  }
+
+  start() {
+    this.state = "calibrating";
+    this.stepIndex = 0;
+    this.stepElapsedMs = 0;
+    this.lastSampleTime = null;
+    this.neutralQuaternion = null;
+    this.neutralPosition = new THREE.Vector3();
+    this.neutralSamples = 0;
+    this.restSums = {};
+    this.max = {};
+    this.setStatus(CALIBRATION_STEPS[0].prompt);
+    this.armTimeout();
+  }
+
+  armTimeout() {
+    clearTimeout(this.timeoutId);
+    this.timeoutId = setTimeout(() => this.fail("no stable face data"), CALIBRATION_TIMEOUT_MS);
+  }
+
+  fail(reason) {
+    if (this.state !== "calibrating") return;
+    clearTimeout(this.timeoutId);
+    this.state = "failed";
+    logMsg(`Calibration failed: ${reason}.`, "tracking", "warn");
+    this.setStatus(
+      this.profile
+        ? "Calibration failed. Keeping previous calibration."
+        : "Calibration failed. Using default gains."
+    );
+  }
+
+  // Feed one frame of raw tracker output while calibrating.
+  observe(matrix, categories, time) {
+    if (this.state !== "calibrating") return;
+    if (this.lastSampleTime !== null) {
+      const gap = time - this.lastSampleTime;
+      if (gap > 0 && gap < CALIBRATION_MAX_FRAME_GAP_MS) this.stepElapsedMs += gap;
+    }
+    this.lastSampleTime = time;
+    this.armTimeout();
+
+    const step = CALIBRATION_STEPS[this.stepIndex];
+    if (step.id === "neutral") {
+      const position = new THREE.Vector3();
+      const quaternion = new THREE.Quaternion();
+      matrix.decompose(position, quaternion, new THREE.Vector3());
+      this.neutralSamples += 1;
+      // Running average: slerp toward each new sample by 1/n.
+      if (!this.neutralQuaternion) this.neutralQuaternion = quaternion;
+      else this.neutralQuaternion.slerp(quaternion, 1 / this.neutralSamples);
+      this.neutralPosition.lerp(position, 1 / this.neutralSamples);
+      for (const c of categories) {
+        this.restSums[c.categoryName] = (this.restSums[c.categoryName] || 0) + c.score;
+      }
+    }
+    for (const c of categories) {
+      this.max[c.categoryName] = Math.max(this.max[c.categoryName] ?? 0, c.score);
+    }
+
+    if (this.stepElapsedMs < step.durationMs) return;
+    this.stepIndex += 1;
+    this.stepElapsedMs = 0;
+    if (this.stepIndex < CALIBRATION_STEPS.length) {
+      this.setStatus(CALIBRATION_STEPS[this.stepIndex].prompt);
+    } else {
+      this.finish();
+    }
+  }
+
+  finish() {
+    clearTimeout(this.timeoutId);
+    const rest = {};
+    for (const [name, sum] of Object.entries(this.restSums)) {
+      rest[name] = sum / this.neutralSamples;
+    }
+    const neutral = new THREE.Matrix4().compose(
+      this.neutralPosition,
+      this.neutralQuaternion,
+      new THREE.Vector3(1, 1, 1)
+    );
+    const saved = {
+      version: CALIBRATION_VERSION,
+      createdAt: new Date().toISOString(),
+      neutralMatrix: neutral.toArray(),
+      rest,
+      max: this.max,
+    };
+    saveSettings("calibration", saved);
+    this.profile = { ...saved, neutralInverse: this.restRotationInverse(neutral) };
+    this.state = "success";
+    const calibrated = Object.keys(rest).filter(
+      (name) => (this.max[name] ?? 0) - rest[name] >= CALIBRATION_MIN_RANGE
+    );
+    logMsg(`Calibration saved: ${calibrated.length} categories with measured ranges.`, "tracking");
+    this.setStatus("Calibration complete. Ready — move your face", true);
+    this.onChange?.();
+  }
+
+  restRotationInverse(neutralMatrix) {
+    const quaternion = new THREE.Quaternion();
+    neutralMatrix.decompose(new THREE.Vector3(), quaternion, new THREE.Vector3());
+    return quaternion.invert();
+  }
+
+  // Express the head rotation relative to the captured rest pose, so a
+  // user who naturally tilts (or a camera below eye level) reads as frontal.
+  neutralize(matrix) {
+    if (!this.profile) return matrix;
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    matrix.decompose(position, quaternion, scale);
+    quaternion.multiply(this.profile.neutralInverse);
+    return new THREE.Matrix4().compose(position, quaternion, scale);
+  }
+
+  // Map a raw score into 0..1 using this user's rest and max values.
+  normalize(name, score, gain) {
+    const rest = this.profile.rest[name] ?? 0;
+    const max = this.profile.max[name];
+    let value;
+    if (max !== undefined && max - rest >= CALIBRATION_MIN_RANGE) {
+      value = (score - rest) / (max - rest);
+    } else {
+      value = ((score - rest) / Math.max(1 - rest, 1e-3)) * gain;
+    }
+    return Math.max(0, Math.min(1, value));
+  }
+}
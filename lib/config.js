@@ -0,0 +1,292 @@
+/**
+ * Tunables and defaults shared by the app and its modules: avatar placement,
+ * the defaults behind every Settings section (and where they are saved), and
+ * the MediaPipe asset URLs.
+ */
+
+import { logMsg } from "./log.js";
+
+// Size of the tracked avatar. mapHeadPose drops the face matrix's own scale,
+// so this alone sets it; distance from the camera does the rest.
+export const AVATAR_SCALE = 4;
+// Where the avatar sits, and how big it is, before any face is tracked (there
+// is no face matrix to place it from). Models face +z, toward the camera.
+export const AVATAR_DEPTH = -2.5;
+export const AVATAR_REST_SCALE = 1.5;
+
+export function getAvatarModelUrl() {
+  try {
+    return new URL("Watchdog Model/watchdog_head.glb", window.location.href).href;
+  } catch (_) {
+    return "Watchdog Model/watchdog_head.glb";
+  }
+}
+
+export const WATCHDOG_TEXTURE_URL = "Watchdog Model/Watchdog Image.png";
+
+// Defaults for the tracking filter (tunable in Settings → Smoothing).
+// poseStrength: 0 = raw MediaPipe pose, 1 = heaviest smoothing.
+// blendshapeCutoff: low-pass cutoff in Hz for expressions (lower = smoother).
+export const SMOOTHING_DEFAULTS = {
+  poseStrength: 0.5,
+  blendshapeCutoff: 8,
+};
+
+// Defaults for Settings → Video clip.
+// mode: 'avatar' (avatar only), 'overlay' (avatar over camera), 'side-by-side'.
+// background: key color for the avatar, or 'transparent' (alpha WebM where supported).
+export const CLIP_DEFAULTS = {
+  mode: "overlay",
+  background: "#00ff00",
+};
+export const CLIP_FPS = 30;
+
+// Defaults for Settings → Performance.
+// worker: run face detection in a Web Worker where the browser can (applies on
+//   the next load; ?worker=0 forces the main thread).
+// stats: show the stats overlay (?stats=1 also turns it on).
+export const PERFORMANCE_DEFAULTS = {
+  worker: true,
+  stats: false,
+};
+
+// Defaults for Settings → Output (or ?output=ws://host:port for one visit).
+// format: 'json' (see the README for the schema) or 'vmc' (OSC packets in
+//   binary WebSocket messages, VMC protocol addresses).
+// values: 'retargeted' (what drives the avatar's morph targets) or 'raw'
+//   (MediaPipe's own scores, plus derived expressions).
+export const OUTPUT_DEFAULTS = {
+  enabled: false,
+  url: "ws://localhost:39540",
+  format: "json",
+  values: "retargeted",
+};
+
+// Defaults for Settings → Source (or ?source=ws://host:port / ?source=camera).
+// kind: 'camera' (track here) or 'network' (render a performer tracked on
+//   another device, whose Output is relayed to url).
+export const SOURCE_DEFAULTS = {
+  kind: "camera",
+  url: "ws://localhost:39540",
+};
+
+// Defaults for Settings → Camera.
+// deviceId: null = the front ("user") camera; otherwise a MediaDeviceInfo deviceId.
+// resolution / frameRate: what to ask for; the camera picks the closest it supports.
+// mirror: show the avatar (and the camera in clips) mirrored, like a selfie view.
+export const CAMERA_DEFAULTS = {
+  deviceId: null,
+  resolution: "1280x720",
+  frameRate: 30,
+  mirror: true,
+};
+
+// Appearance presets (Settings → Appearance), saved per model.
+// original: the GLB's own materials; lit: MeshStandardMaterial; hologram:
+// scanline + fresnel rim shader; toon: cel shading; wireframe: tinted lines.
+export const APPEARANCE_PRESETS = ["original", "lit", "hologram", "toon", "wireframe"];
+export const APPEARANCE_DEFAULTS = {
+  preset: "hologram",
+  tint: "#00ffa3", // Solana neon
+  opacity: 0.9,
+};
+
+// Procedural motion (Settings → Motion).
+// idle: strength of breathing/sway while no face is tracked (0 = off).
+// autoBlink: 'on' | 'off', random blinks while no face is tracked.
+// neutralAfter: seconds to hold the last tracked pose before easing to neutral.
+// springs: how much ear/jowl nodes swing behind head movement (0 = rigid).
+export const MOTION_DEFAULTS = {
+  idle: 0.5,
+  autoBlink: "on",
+  neutralAfter: 2,
+  springs: 0.5,
+};
+
+// Derived expressions (Settings → Expressions): extra categories computed
+// from landmarks, head pose and the raw scores, each toggleable.
+// tongue: tongueOut from the color inside the open mouth.
+// nodShake: headNod / headShake while the head nods or shakes.
+// wink: eyeWinkLeft / eyeWinkRight when one eye closes and the other doesn't.
+// cheekPuff: keeps cheekPuff at full while puffed cheeks are held.
+export const EXPRESSIONS_DEFAULTS = {
+  tongue: true,
+  nodShake: true,
+  wink: true,
+  cheekPuff: true,
+};
+
+// Audio lip sync (Settings → Lip sync).
+// source: 'off' | 'mic'. Audio files are played on demand and not saved.
+// gain: input sensitivity (higher opens the mouth more for quiet speech).
+export const LIPSYNC_DEFAULTS = {
+  source: "off",
+  gain: 1,
+};
+
+// Head pose mapping (Settings → Head pose). The face matrix is split into
+// yaw/pitch/roll (degrees) and position (cm, camera space). Each rotation
+// becomes angle × gain + offset, clamped to [min, max]; each position axis
+// value × gain + offset. mirror flips left/right; lockPosition keeps the head
+// at HEAD_POSE_LOCK_POSITION (plus the offsets) and only rotates it.
+export const HEAD_POSE_DEFAULTS = {
+  mirror: false,
+  lockPosition: false,
+  yawGain: 1,
+  yawOffset: 0,
+  yawMin: -90,
+  yawMax: 90,
+  pitchGain: 1,
+  pitchOffset: 0,
+  pitchMin: -90,
+  pitchMax: 90,
+  rollGain: 1,
+  rollOffset: 0,
+  rollMin: -90,
+  rollMax: 90,
+  xGain: 1,
+  xOffset: 0,
+  yGain: 1,
+  yOffset: 0,
+  zGain: 1,
+  zOffset: 0,
+};
+// Where a locked head sits: centered, at a typical webcam distance (cm).
+export const HEAD_POSE_LOCK_POSITION = [0, 0, -50];
+
+// Upper-body mode (Settings → Body, or ?body=1 / ?body=models/body.glb).
+// enabled: also run the pose and hand landmarkers and show a body under the head.
+// url: rigged upper-body GLB; null = the built-in stick rig.
+export const BODY_DEFAULTS = {
+  enabled: false,
+  url: null,
+};
+
+// MediaPipe runtime assets. cdn is used by default; with an asset base
+// (?assets=vendor/ or <html data-asset-base>, see index.html) each is loaded
+// from base + local instead. `npm run vendor` downloads them into that layout.
+export const MEDIAPIPE_ASSETS = {
+  // Also imported by the page through the import map; the face worker needs the URL.
+  bundle: {
+    label: "MediaPipe tasks-vision",
+    cdn: "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.1.0-alpha-16",
+    local: "@mediapipe/tasks-vision/vision_bundle.js",
+  },
+  wasm: {
+    label: "MediaPipe WASM",
+    cdn: "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.1.0-alpha-16/wasm",
+    local: "@mediapipe/tasks-vision/wasm",
+  },
+  faceModel: {
+    label: "face model",
+    cdn: "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/latest/face_landmarker.task",
+    local: "models/face_landmarker.task",
+  },
+  poseModel: {
+    label: "pose model",
+    cdn: "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/latest/pose_landmarker_lite.task",
+    local: "models/pose_landmarker_lite.task",
+  },
+  handModel: {
+    label: "hand model",
+    cdn: "https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/latest/hand_landmarker.task",
+    local: "models/hand_landmarker.task",
+  },
+};
+
+// Multi-face: how many faces to track (Settings → Faces, or ?faces=N) and
+// how each extra avatar differs. url/textureUrl default to the watchdog.
+export const MAX_FACES = 4;
+export const FACES_DEFAULTS = {
+  maxFaces: 1,
+};
+export const FACE_AVATAR_VARIANTS = [
+  { tint: "#00ffa3" },
+  { tint: "#dc1fff" },
+  { tint: "#ffd166" },
+  { tint: "#4cc9f0" },
+];
+
+// Accessories (Settings → Accessories): extra GLBs attached to anchors on the
+// avatar. 'box:<name>' anchors sit at fractions of the whole model's bounding
+// box ([x: left → right, y: bottom → top, z: back → front]): they match the
+// face only on a head-only model like the watchdog, so on a model with a neck
+// or body use 'node:<name>' anchors, which are named objects in the model.
+export const ACCESSORY_BOX_ANCHORS = {
+  top: [0.5, 1, 0.5], // hats
+  forehead: [0.5, 0.8, 0.85],
+  eyes: [0.5, 0.65, 0.95], // glasses
+  nose: [0.5, 0.5, 1],
+  chin: [0.5, 0.15, 0.8],
+  neck: [0.5, 0, 0.5], // collars, badges
+};
+// A newly worn accessory. offset: in head sizes; rotation: degrees;
+// scale: accessory size relative to the head.
+export const ACCESSORY_DEFAULTS = {
+  anchor: "box:top",
+  offset: [0, 0, 0],
+  rotation: [0, 0, 0],
+  scale: 0.5,
+};
+// items: what is worn now; sets: saved outfits by name.
+export const OUTFITS_DEFAULTS = {
+  items: [],
+  sets: {},
+};
+
+// Saved settings live in localStorage under SETTINGS_KEY_PREFIX + name, per
+// device. Without storage (private mode, Node) they load as the defaults.
+export const SETTINGS_KEY_PREFIX = "watchdog.";
+
+export function loadSettings(name, defaults) {
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY_PREFIX + name);
+    return raw ? { ...defaults, ...JSON.parse(raw) } : { ...defaults };
+  } catch (_) {
+    return { ...defaults };
+  }
+}
+
+export function saveSettings(name, value) {
+  try {
+    localStorage.setItem(SETTINGS_KEY_PREFIX + name, JSON.stringify(value));
+  } catch (_) {
+    // Private mode / storage full: settings just won't survive a reload.
+  }
+}
+
+export function clearSettings(name) {
+  try {
+    localStorage.removeItem(SETTINGS_KEY_PREFIX + name);
+  } catch (_) {}
+}
+
+// Broadcast mode for OBS browser sources / virtual cameras, e.g.
+//   index.html?broadcast=1&bg=green&size=1080
+//   index.html?broadcast=1&bg=transparent&size=720
+// bg: green | blue | magenta | transparent | any hex color (#00b140 or 00b140)
+const BROADCAST_SIZES = {
+  720: { width: 1280, height: 720 },
+  1080: { width: 1920, height: 1080 },
+};
+const BROADCAST_KEY_COLORS = {
+  green: "#00ff00",
+  blue: "#0000ff",
+  magenta: "#ff00ff",
+};
+
+export function getBroadcastOptions() {
+  const params = new URLSearchParams(window.location.search);
+  const flag = params.get("broadcast");
+  if (flag === null || flag === "0" || flag === "false") return null;
+  const bg = (params.get("bg") || "green").toLowerCase();
+  let background = "transparent";
+  if (BROADCAST_KEY_COLORS[bg]) background = BROADCAST_KEY_COLORS[bg];
+  else if (/^#?[0-9a-f]{6}$/.test(bg)) background = bg.startsWith("#") ? bg : `#${bg}`;
+  else if (bg !== "transparent") {
+    logMsg(`Unknown broadcast bg "${bg}", using transparent.`, "render", "warn");
+  }
+  const size = BROADCAST_SIZES[params.get("size")] || BROADCAST_SIZES[1080];
+  return { background, outputSize: size };
+}
+export const CLIP_MIME_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
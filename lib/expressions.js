@@ -0,0 +1,215 @@
+/**
+ * Derived expressions: categories MediaPipe doesn't output (tongue out, nod,
+ * shake, winks, held cheek puff), appended to a face's blendshapes.
+ */
+
+import { EXPRESSIONS_DEFAULTS } from "./config.js";
+import { headAngles } from "./head-pose.js";
+
+// FaceLandmarker mesh indices used by the detectors.
+const LANDMARK = {
+  upperInnerLip: 13,
+  lowerInnerLip: 14,
+  mouthLeft: 78,
+  mouthRight: 308,
+  faceLeft: 234,
+  faceRight: 454,
+};
+// Mouth gap (relative to face width) below which the tongue isn't looked for.
+const TONGUE_MIN_MOUTH_OPEN = 0.04;
+// Fraction of tongue-colored pixels in the mouth opening that maps to 0 and 1.
+const TONGUE_FRACTION_RANGE = [0.25, 0.7];
+const TONGUE_SMOOTHING_MS = 120;
+// Nod/shake: direction reversals of at least GESTURE_MIN_ANGLE (radians)
+// within GESTURE_WINDOW_MS; the signal fades out over GESTURE_RELEASE_MS
+// after the last reversal.
+const GESTURE_WINDOW_MS = 1200;
+const GESTURE_MIN_ANGLE = 0.06;
+const GESTURE_MIN_REVERSALS = 2;
+const GESTURE_RELEASE_MS = 400;
+// Wink: the closed eye must be this much more closed than the open one.
+const WINK_MIN_DIFFERENCE = 0.3;
+// Cheek puff hold: on above PUFF_ON for PUFF_HOLD_MS, off again below PUFF_OFF.
+const PUFF_ON = 0.3;
+const PUFF_OFF = 0.15;
+const PUFF_HOLD_MS = 300;
+export const DERIVED_CATEGORIES = [
+  "tongueOut",
+  "headNod",
+  "headShake",
+  "eyeWinkLeft",
+  "eyeWinkRight",
+];
+
+let tongueCanvas = null;
+
+// Fraction of pixels inside the mouth opening that look like a tongue
+// (bright, clearly red/pink) rather than the dark mouth cavity or teeth.
+function tongueColorFraction(source, landmarks) {
+  const width = source.videoWidth || source.width;
+  const height = source.videoHeight || source.height;
+  if (!width || !height) return 0;
+  const upper = landmarks[LANDMARK.upperInnerLip];
+  const lower = landmarks[LANDMARK.lowerInnerLip];
+  const left = landmarks[LANDMARK.mouthLeft];
+  const right = landmarks[LANDMARK.mouthRight];
+  // Middle of the opening, plus a little below the lower lip where a tongue hangs.
+  const mouthWidth = right.x - left.x;
+  const sx = (left.x + mouthWidth * 0.25) * width;
+  const sw = Math.abs(mouthWidth * 0.5 * width);
+  const sy = upper.y * height;
+  const sh = (lower.y - upper.y) * 1.3 * height;
+  if (sw < 2 || sh < 2) return 0;
+  if (!tongueCanvas) {
+    tongueCanvas = document.createElement("canvas");
+    tongueCanvas.width = 24;
+    tongueCanvas.height = 16;
+  }
+  const ctx = tongueCanvas.getContext("2d", { willReadFrequently: true });
+  const { width: tw, height: th } = tongueCanvas;
+  ctx.drawImage(source, Math.min(sx, sx + sw), sy, sw, sh, 0, 0, tw, th);
+  const data = ctx.getImageData(0, 0, tw, th).data;
+  let tongue = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    if (r > 90 && r > g * 1.35 && r > b * 1.1) tongue++;
+  }
+  return tongue / (data.length / 4);
+}
+
+// Counts direction reversals of one head angle over a sliding window.
+class GestureDetector {
+  constructor() {
+    this.samples = []; // [{ time, angle }]
+    this.activeUntil = null;
+  }
+
+  // Returns 0..1: 1 while the gesture is happening, fading out after it stops.
+  update(angle, time) {
+    this.samples.push({ time, angle });
+    while (this.samples.length > 0 && time - this.samples[0].time > GESTURE_WINDOW_MS) {
+      this.samples.shift();
+    }
+    let reversals = 0;
+    let lastReversal = null;
+    let direction = 0;
+    let extreme = this.samples[0].angle;
+    for (const sample of this.samples) {
+      const delta = sample.angle - extreme;
+      if (direction !== 0 && delta * direction > 0) {
+        extreme = sample.angle; // still moving the same way
+      } else if (Math.abs(delta) >= GESTURE_MIN_ANGLE) {
+        if (direction !== 0) {
+          reversals++;
+          lastReversal = sample.time;
+        }
+        direction = Math.sign(delta);
+        extreme = sample.angle;
+      }
+    }
+    if (reversals >= GESTURE_MIN_REVERSALS) this.activeUntil = lastReversal;
+    if (this.activeUntil === null) return 0;
+    return Math.max(0, 1 - (time - this.activeUntil) / GESTURE_RELEASE_MS);
+  }
+
+  reset() {
+    this.samples = [];
+    this.activeUntil = null;
+  }
+}
+
+// Per-face state for the derived-expression detectors. apply() returns the
+// face's blendshapes with the derived categories appended, so they go
+// through calibration and the retarget profile like MediaPipe's own.
+export class ExpressionDetector {
+  constructor(settings = EXPRESSIONS_DEFAULTS) {
+    this.configure(settings);
+    this.nod = new GestureDetector();
+    this.shake = new GestureDetector();
+    this.tongue = 0;
+    this.puffSince = null;
+    this.puffHeld = false;
+    this.lastTime = null;
+  }
+
+  configure(settings) {
+    this.settings = { ...EXPRESSIONS_DEFAULTS, ...settings };
+  }
+
+  reset() {
+    this.nod.reset();
+    this.shake.reset();
+    this.tongue = 0;
+    this.puffSince = null;
+    this.puffHeld = false;
+    this.lastTime = null;
+  }
+
+  // face: { matrix, blendshapes, landmarks } as built by resultFaces (tracking.js).
+  // source: the video frame the landmarks came from (for the tongue detector).
+  apply(face, time, source) {
+    const categories = face.blendshapes[0].categories;
+    const scores = new Map(categories.map((c) => [c.categoryName, c.score]));
+    const derived = new Map();
+    const dt = this.lastTime === null ? 0 : time - this.lastTime;
+    this.lastTime = time;
+
+    if (this.settings.tongue) {
+      let fraction = 0;
+      if (face.landmarks && source) {
+        const lm = face.landmarks;
+        const faceWidth = Math.hypot(
+          lm[LANDMARK.faceRight].x - lm[LANDMARK.faceLeft].x,
+          lm[LANDMARK.faceRight].y - lm[LANDMARK.faceLeft].y
+        );
+        const gap = lm[LANDMARK.lowerInnerLip].y - lm[LANDMARK.upperInnerLip].y;
+        const open = gap / (faceWidth || 1);
+        if (open >= TONGUE_MIN_MOUTH_OPEN) fraction = tongueColorFraction(source, lm);
+      }
+      const [low, high] = TONGUE_FRACTION_RANGE;
+      const target = Math.max(0, Math.min(1, (fraction - low) / (high - low)));
+      const alpha = dt > 0 ? Math.min(1, dt / TONGUE_SMOOTHING_MS) : 1;
+      this.tongue += (target - this.tongue) * alpha;
+      derived.set("tongueOut", this.tongue);
+    }
+
+    if (this.settings.nodShake) {
+      const euler = headAngles(face.matrix);
+      const nod = this.nod.update(euler.x, time);
+      const shake = this.shake.update(euler.y, time);
+      // A shake moves pitch a little too (and vice versa); the larger one wins.
+      derived.set("headNod", nod > shake ? nod : 0);
+      derived.set("headShake", shake >= nod ? shake : 0);
+    }
+
+    if (this.settings.wink) {
+      const left = scores.get("eyeBlinkLeft") || 0;
+      const right = scores.get("eyeBlinkRight") || 0;
+      const wink = (a, b) => Math.max(0, Math.min(1, (a - b - WINK_MIN_DIFFERENCE) / 0.4));
+      derived.set("eyeWinkLeft", left > 0.5 ? wink(left, right) : 0);
+      derived.set("eyeWinkRight", right > 0.5 ? wink(right, left) : 0);
+    }
+
+    let puff = scores.get("cheekPuff");
+    if (this.settings.cheekPuff && puff !== undefined) {
+      if (puff >= PUFF_ON) {
+        if (this.puffSince === null) this.puffSince = time;
+        if (time - this.puffSince >= PUFF_HOLD_MS) this.puffHeld = true;
+      } else {
+        this.puffSince = null;
+        if (puff < PUFF_OFF) this.puffHeld = false;
+      }
+      if (this.puffHeld) puff = 1;
+    }
+
+    const out = categories.map((c) =>
+      c.categoryName === "cheekPuff" && puff !== c.score ? { ...c, score: puff } : c
+    );
+    for (const [categoryName, score] of derived) {
+      out.push({ index: -1, score, categoryName, displayName: "" });
+    }
+    return [{ categories: out }];
+  }
+}
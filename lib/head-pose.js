@@ -0,0 +1,52 @@
+/**
+ * Head pose: how a Face Landmarker face matrix becomes the avatar's transform
+ * (per-axis remapping into a rigid pose) and its angles.
+ */
+
+import * as THREE from "three";
+import { HEAD_POSE_DEFAULTS, HEAD_POSE_LOCK_POSITION } from "./config.js";
+
+export const HEAD_POSE_ROTATION_AXES = ["yaw", "pitch", "roll"];
+export const HEAD_POSE_POSITION_AXES = ["x", "y", "z"];
+
+// Remap a face matrix per HEAD_POSE_DEFAULTS-shaped settings into a rigid
+// transform (rotation and translation only). The matrix's own scale is
+// dropped, so the avatar's size doesn't follow it (see Avatar.poseMatrix);
+// with the defaults the result is the input without its scale.
+export function mapHeadPose(matrix, settings = HEAD_POSE_DEFAULTS) {
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  matrix.decompose(position, quaternion, new THREE.Vector3());
+  const euler = new THREE.Euler().setFromQuaternion(quaternion, "YXZ");
+  const angles = { yaw: euler.y, pitch: euler.x, roll: euler.z };
+  if (settings.mirror) {
+    position.x = -position.x;
+    angles.yaw = -angles.yaw;
+    angles.roll = -angles.roll;
+  }
+  for (const axis of HEAD_POSE_ROTATION_AXES) {
+    const degrees =
+      THREE.MathUtils.radToDeg(angles[axis]) * settings[`${axis}Gain`] + settings[`${axis}Offset`];
+    angles[axis] = THREE.MathUtils.degToRad(
+      THREE.MathUtils.clamp(degrees, settings[`${axis}Min`], settings[`${axis}Max`])
+    );
+  }
+  if (settings.lockPosition) position.fromArray(HEAD_POSE_LOCK_POSITION);
+  HEAD_POSE_POSITION_AXES.forEach((axis, i) => {
+    const gain = settings.lockPosition ? 1 : settings[`${axis}Gain`];
+    position.setComponent(i, position.getComponent(i) * gain + settings[`${axis}Offset`]);
+  });
+  euler.set(angles.pitch, angles.yaw, angles.roll, "YXZ");
+  const unit = new THREE.Vector3(1, 1, 1);
+  return new THREE.Matrix4().compose(position, quaternion.setFromEuler(euler), unit);
+}
+
+// A face matrix's rotation as YXZ Euler angles (x = pitch, y = yaw, z = roll).
+// The matrix is scaled, so its rotation is taken from the decomposed
+// quaternion; reading angles off the raw matrix would make them depend on how
+// far the user sits from the camera.
+export function headAngles(matrix) {
+  const quaternion = new THREE.Quaternion();
+  matrix.decompose(new THREE.Vector3(), quaternion, new THREE.Vector3());
+  return new THREE.Euler().setFromQuaternion(quaternion, "YXZ");
+}
@@ -0,0 +1,39 @@
+/**
+ * Leveled, categorized log entries kept in a ring buffer. The Logs panel
+ * (main.js) renders them through logListeners; the diagnostics bundle
+ * includes all of them.
+ */
+
+// Entries are { time (ms since epoch), level, category, message }. Only the
+// newest LOG_MAX_ENTRIES are kept. Categories: app, camera, mediapipe,
+// tracking, model, render, audio, network (the #logs-category options).
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+const LOG_MAX_ENTRIES = 1000;
+export const LOG_TIME_FORMAT = new Intl.DateTimeFormat(undefined, {
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  timeZoneName: "short",
+}); // the user's own timezone, e.g. 10/18/2026, 02:03:12 PM PDT
+
+export const logEntries = [];
+
+// Called with each new entry, after it's been added to logEntries.
+export const logListeners = new Set();
+
+export function formatLogEntry(entry) {
+  const time = LOG_TIME_FORMAT.format(entry.time);
+  return `[${time}] ${entry.level.toUpperCase()} ${entry.category}: ${entry.message}`;
+}
+
+export function logMsg(message, category = "app", level = "info") {
+  const entry = { time: Date.now(), level, category, message: String(message) };
+  logEntries.push(entry);
+  if (logEntries.length > LOG_MAX_ENTRIES) logEntries.shift();
+  const log = level === "warn" || level === "error" || level === "debug" ? level : "log";
+  console[log](`[${category}] ${entry.message}`);
+  for (const listener of logListeners) listener(entry);
+}
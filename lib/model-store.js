@@ -0,0 +1,138 @@
+/**
+ * Model sources (the default watchdog, ?model= URLs, user files) and the
+ * IndexedDB stores that keep imported models and accessories between visits.
+ */
+
+import { getAvatarModelUrl, WATCHDOG_TEXTURE_URL } from "./config.js";
+
+const MODEL_DB_NAME = "watchdog";
+const MODEL_DB_VERSION = 2;
+const MODEL_STORE = "models";
+const ACCESSORY_STORE = "accessories";
+export const MODEL_FILE_PATTERN = /\.(glb|gltf)$/i;
+const IMAGE_FILE_PATTERN = /\.(png|jpe?g|webp)$/i;
+
+// A model source: { key, label, url, textureUrl, urlModifier?, retargetProfileUrl?, revoke? }.
+// key identifies it across sessions: 'default', 'url:<href>' or 'db:<id>'.
+export function defaultModelSource() {
+  return {
+    key: "default",
+    label: "Watchdog (default)",
+    url: getAvatarModelUrl(),
+    textureUrl: WATCHDOG_TEXTURE_URL,
+  };
+}
+
+// ?model=<url>[&texture=<url>] switches avatars without redeploying.
+export function getUrlModelSource() {
+  const params = new URLSearchParams(window.location.search);
+  const model = params.get("model");
+  if (!model) return null;
+  const url = new URL(model, window.location.href).href;
+  const texture = params.get("texture");
+  return {
+    key: `url:${url}`,
+    label: decodeURIComponent(url.split(/[?#]/)[0].split("/").pop()),
+    url,
+    textureUrl: texture ? new URL(texture, window.location.href).href : null,
+  };
+}
+
+// Build a source from files ({ name, blob } records or File objects). The
+// first .glb/.gltf is the model; for a GLB an image is applied as its
+// texture; a .json is its retarget profile; anything else (a .gltf's .bin
+// and images) is resolved by file name.
+export function modelSourceFromFiles(files, key) {
+  const named = files.map((f) => ({ name: f.name, blob: f.blob || f }));
+  const main = named.find((f) => MODEL_FILE_PATTERN.test(f.name));
+  if (!main) throw new Error("no .glb or .gltf file among the files");
+  const urls = new Map(named.map((f) => [f.name, URL.createObjectURL(f.blob)]));
+  const texture = /\.glb$/i.test(main.name)
+    ? named.find((f) => IMAGE_FILE_PATTERN.test(f.name))
+    : null;
+  const profile = named.find((f) => /\.json$/i.test(f.name));
+  return {
+    key,
+    label: main.name,
+    url: urls.get(main.name),
+    textureUrl: texture ? urls.get(texture.name) : null,
+    retargetProfileUrl: profile ? urls.get(profile.name) : null,
+    urlModifier: (url) => {
+      const name = decodeURIComponent(url.split(/[?#]/)[0].split(/[\\/]/).pop());
+      return urls.get(name) || url;
+    },
+    revoke: () => {
+      for (const url of urls.values()) URL.revokeObjectURL(url);
+    },
+  };
+}
+
+function openModelDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const req = indexedDB.open(MODEL_DB_NAME, MODEL_DB_VERSION);
+    req.onupgradeneeded = () => {
+      for (const store of [MODEL_STORE, ACCESSORY_STORE]) {
+        if (req.result.objectStoreNames.contains(store)) continue;
+        req.result.createObjectStore(store, { keyPath: "id", autoIncrement: true });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Run one request against a store (models by default) and resolve with its result.
+function modelDbRequest(mode, makeRequest, storeName = MODEL_STORE) {
+  return openModelDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = makeRequest(tx.objectStore(storeName));
+        tx.oncomplete = () => {
+          db.close();
+          resolve(req.result);
+        };
+        tx.onerror = () => {
+          db.close();
+          reject(tx.error);
+        };
+      })
+  );
+}
+
+export function saveModelRecord(record) {
+  return modelDbRequest("readwrite", (store) => store.add(record));
+}
+
+export function listModelRecords() {
+  return modelDbRequest("readonly", (store) => store.getAll());
+}
+
+export function getModelRecord(id) {
+  return modelDbRequest("readonly", (store) => store.get(id));
+}
+
+export function deleteModelRecord(id) {
+  return modelDbRequest("readwrite", (store) => store.delete(id));
+}
+
+// Accessories ({ name, files, addedAt }, like models) live in their own store.
+export function saveAccessoryRecord(record) {
+  return modelDbRequest("readwrite", (store) => store.add(record), ACCESSORY_STORE);
+}
+
+export function listAccessoryRecords() {
+  return modelDbRequest("readonly", (store) => store.getAll(), ACCESSORY_STORE);
+}
+
+export function getAccessoryRecord(id) {
+  return modelDbRequest("readonly", (store) => store.get(id), ACCESSORY_STORE);
+}
+
+export function deleteAccessoryRecord(id) {
+  return modelDbRequest("readwrite", (store) => store.delete(id), ACCESSORY_STORE);
+}
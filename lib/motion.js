@@ -0,0 +1,273 @@
+/**
+ * Procedural motion between tracking and the avatar: the hold and ease to
+ * neutral when the face is lost, idle breathing and sway, auto-blink and
+ * spring secondary motion on ear/jowl nodes.
+ */
+
+import * as THREE from "three";
+import { logMsg } from "./log.js";
+import { MOTION_DEFAULTS } from "./config.js";
+import { retarget } from "./retarget.js";
+
+// No tracked pose for this long means the face is lost.
+const MOTION_LOST_AFTER_MS = 250;
+// How long easing to the neutral pose, and crossfading back to tracking, take.
+const MOTION_NEUTRAL_EASE_MS = 1200;
+const MOTION_CROSSFADE_MS = 300;
+// Idle breathing/sway fades in and out over this long.
+const MOTION_IDLE_FADE_MS = 800;
+const MOTION_BLINK_MS = 160;
+const MOTION_BLINK_INTERVAL_MS = [2000, 6000];
+// Nodes whose names match get spring secondary motion (e.g. "LeftEar", "ear.L", "Jowl_R").
+const MOTION_SPRING_NODES = /\b(?:ear|jowl)|Ear|Jowl/;
+const MOTION_SPRING_STIFFNESS = 120;
+const MOTION_SPRING_DAMPING = 8;
+// Seconds of head rotation a spring lags behind at strength 1.
+const MOTION_SPRING_LAG_S = 0.12;
+const MOTION_SPRING_MAX_ANGLE = 0.6;
+
+export function smoothstep(t) {
+  const x = Math.max(0, Math.min(1, t));
+  return x * x * (3 - 2 * x);
+}
+
+export function decomposePose(matrix) {
+  const pose = {
+    position: new THREE.Vector3(),
+    quaternion: new THREE.Quaternion(),
+    scale: new THREE.Vector3(),
+  };
+  matrix.decompose(pose.position, pose.quaternion, pose.scale);
+  return pose;
+}
+
+function lerpPose(a, b, t) {
+  return {
+    position: a.position.clone().lerp(b.position, t),
+    quaternion: a.quaternion.clone().slerp(b.quaternion, t),
+    scale: a.scale.clone().lerp(b.scale, t),
+  };
+}
+
+function lerpBlendshapes(a, b, t) {
+  const map = new Map();
+  for (const name of new Set([...a.keys(), ...b.keys()])) {
+    const from = a.get(name) || 0;
+    map.set(name, from + ((b.get(name) || 0) - from) * t);
+  }
+  return map;
+}
+
+// A layer between tracking and the avatar, run once per rendered frame.
+// While the face is tracked it passes the tracked pose through (after a
+// short crossfade when the face comes back). When the face is lost it holds
+// the last pose, then eases to a neutral one (facing the camera, no
+// expression) after settings.neutralAfter seconds, and adds idle breathing,
+// sway and blinks. Ear/jowl nodes get damped springs driven by the head's
+// rotation either way.
+export class AvatarMotion {
+  constructor(avatar, settings = MOTION_DEFAULTS) {
+    this.avatar = avatar;
+    this.configure(settings);
+    this.presence = 1; // multi-face enter/leave scale
+    this.trackedPose = null;
+    this.neutralPose = null;
+    this.trackedBlendshapes = new Map();
+    this.audioBlendshapes = null;
+    this.trackedAt = null;
+    this.live = false;
+    this.trackingWeight = 0;
+    // What was on screen when tracking was lost or came back; null = rest pose.
+    this.held = null;
+    this.lostAt = null;
+    this.idleWeight = 1;
+    this.nextBlinkAt = null;
+    this.blinkStartedAt = null;
+    this.lastTime = null;
+    this.displayed = null;
+    this.springs = [];
+    this.springModel = null;
+    this.lastQuaternion = null;
+    // So several avatars don't breathe in lockstep.
+    this.phase = Math.random() * 100;
+  }
+
+  configure(settings) {
+    this.settings = { ...MOTION_DEFAULTS, ...settings };
+  }
+
+  // transform: the avatar transform for the tracked face (Avatar.poseMatrix);
+  // neutral: the same for that face looking straight at the camera.
+  setPose(transform, time, neutral = transform) {
+    this.trackedPose = decomposePose(transform);
+    this.neutralPose = decomposePose(neutral);
+    this.trackedAt = time;
+  }
+
+  // blendshapes: Map of morph target name -> weight, as from retarget().
+  setBlendshapes(blendshapes) {
+    this.trackedBlendshapes = blendshapes;
+  }
+
+  // Morph weights from audio lip sync (or null). They take over the targets
+  // they name while the face isn't tracked, crossfading like the pose.
+  setAudioBlendshapes(blendshapes) {
+    this.audioBlendshapes = blendshapes;
+  }
+
+  update(now) {
+    const dt = this.lastTime === null ? 0 : Math.min((now - this.lastTime) / 1000, 0.1);
+    this.lastTime = now;
+
+    const live = this.trackedAt !== null && now - this.trackedAt < MOTION_LOST_AFTER_MS;
+    if (live !== this.live && this.displayed) {
+      // Start the hold/ease (or the crossfade) from what is on screen now.
+      this.held = this.displayed;
+      this.lostAt = live ? null : now;
+      this.trackingWeight = 0;
+      if (!live && this.avatar.visible) {
+        logMsg("Face lost: holding pose, idle animation on.", "tracking");
+      }
+    }
+    this.live = live;
+    this.trackingWeight = live
+      ? Math.min(1, this.trackingWeight + (dt * 1000) / MOTION_CROSSFADE_MS)
+      : 0;
+    const idleTarget = live ? 0 : 1;
+    const idleStep = (dt * 1000) / MOTION_IDLE_FADE_MS;
+    this.idleWeight =
+      idleTarget > this.idleWeight
+        ? Math.min(idleTarget, this.idleWeight + idleStep)
+        : Math.max(idleTarget, this.idleWeight - idleStep);
+
+    // Pose and expression without tracking: held, easing to neutral.
+    const rest = decomposePose(this.avatar.restTransform());
+    const neutral = this.neutralPose || rest;
+    const held = this.held || { ...rest, blendshapes: new Map() };
+    const ease =
+      this.lostAt === null
+        ? 0
+        : smoothstep(
+            (now - this.lostAt - this.settings.neutralAfter * 1000) / MOTION_NEUTRAL_EASE_MS
+          );
+    let pose = lerpPose(held, neutral, ease);
+    let blendshapes = lerpBlendshapes(held.blendshapes, new Map(), ease);
+    const t = smoothstep(this.trackingWeight);
+    if (t > 0) {
+      pose = lerpPose(pose, this.trackedPose, t);
+      blendshapes = lerpBlendshapes(blendshapes, this.trackedBlendshapes, t);
+    }
+    this.displayed = { ...pose, blendshapes };
+    if (this.audioBlendshapes && t < 1) {
+      blendshapes = new Map(blendshapes);
+      for (const [name, value] of this.audioBlendshapes) {
+        const from = blendshapes.get(name) || 0;
+        blendshapes.set(name, from + (value - from) * (1 - t));
+      }
+    }
+
+    const matrix = new THREE.Matrix4().compose(pose.position, pose.quaternion, pose.scale);
+    matrix.multiply(this.idleMatrix(now));
+    matrix.scale(new THREE.Vector3(this.presence, this.presence, this.presence));
+    this.avatar.setTransform(matrix);
+    this.avatar.updateBlendshapes(this.addBlink(blendshapes, now));
+    this.updateSprings(pose.quaternion, dt);
+  }
+
+  // Breathing (slow nod and swell) and sway, in the head's own frame.
+  idleMatrix(now) {
+    const amount = this.idleWeight * this.settings.idle;
+    if (amount <= 0) return new THREE.Matrix4();
+    const t = now / 1000 + this.phase;
+    const breath = Math.sin((2 * Math.PI * t) / 4);
+    const rotation = new THREE.Euler(
+      breath * 0.03 * amount,
+      Math.sin((2 * Math.PI * t) / 7.3) * 0.08 * amount,
+      Math.sin((2 * Math.PI * t) / 5.1 + 1) * 0.04 * amount
+    );
+    const swell = 1 + breath * 0.01 * amount;
+    return new THREE.Matrix4()
+      .makeRotationFromEuler(rotation)
+      .scale(new THREE.Vector3(swell, swell, swell));
+  }
+
+  // Random blinks while the face is lost, mapped through the avatar's retarget profile.
+  addBlink(blendshapes, now) {
+    if (this.settings.autoBlink !== "on" || this.idleWeight < 0.5) {
+      this.nextBlinkAt = null;
+      return blendshapes;
+    }
+    const [minGap, maxGap] = MOTION_BLINK_INTERVAL_MS;
+    const gap = () => minGap + Math.random() * (maxGap - minGap);
+    if (this.nextBlinkAt === null) this.nextBlinkAt = now + gap();
+    if (now >= this.nextBlinkAt) {
+      this.blinkStartedAt = now;
+      this.nextBlinkAt = now + gap();
+    }
+    const elapsed = this.blinkStartedAt === null ? Infinity : now - this.blinkStartedAt;
+    if (elapsed >= MOTION_BLINK_MS) return blendshapes;
+    const score = Math.sin((Math.PI * elapsed) / MOTION_BLINK_MS);
+    const blink = retarget(
+      [
+        {
+          categories: [
+            { categoryName: "eyeBlinkLeft", score },
+            { categoryName: "eyeBlinkRight", score },
+          ],
+        },
+      ],
+      null,
+      this.avatar.retargetProfile
+    );
+    const map = new Map(blendshapes);
+    for (const [name, value] of blink) map.set(name, Math.max(map.get(name) || 0, value));
+    return map;
+  }
+
+  findSprings() {
+    this.springModel = this.avatar.gltf;
+    this.springs = [];
+    if (!this.springModel) return;
+    this.springModel.scene.traverse((obj) => {
+      if (obj === this.springModel.scene || !MOTION_SPRING_NODES.test(obj.name)) return;
+      this.springs.push({
+        node: obj,
+        rest: obj.quaternion.clone(),
+        angle: new THREE.Vector3(),
+        velocity: new THREE.Vector3(),
+      });
+    });
+    if (this.springs.length > 0) {
+      logMsg(`Spring motion on: ${this.springs.map((s) => s.node.name).join(", ")}`, "model");
+    }
+  }
+
+  // Each spring is pulled towards an offset against the head's angular
+  // velocity, so ears trail behind turns and overshoot when the head stops.
+  updateSprings(quaternion, dt) {
+    if (this.avatar.gltf !== this.springModel) this.findSprings();
+    const last = this.lastQuaternion;
+    this.lastQuaternion = quaternion.clone();
+    if (this.springs.length === 0 || !last || dt <= 0) return;
+    const delta = last.clone().invert().multiply(quaternion);
+    const angle = 2 * Math.acos(Math.min(1, Math.abs(delta.w)));
+    const axis = new THREE.Vector3(delta.x, delta.y, delta.z);
+    if (delta.w < 0) axis.negate();
+    if (axis.lengthSq() > 0) axis.normalize();
+    const lag = MOTION_SPRING_LAG_S * this.settings.springs;
+    const target = axis
+      .multiplyScalar((-angle / dt) * lag)
+      .clampLength(0, MOTION_SPRING_MAX_ANGLE);
+    for (const spring of this.springs) {
+      const accel = target
+        .clone()
+        .sub(spring.angle)
+        .multiplyScalar(MOTION_SPRING_STIFFNESS)
+        .addScaledVector(spring.velocity, -MOTION_SPRING_DAMPING);
+      spring.velocity.addScaledVector(accel, dt);
+      spring.angle.addScaledVector(spring.velocity, dt);
+      const swing = new THREE.Euler().setFromVector3(spring.angle);
+      spring.node.quaternion.copy(spring.rest).multiply(new THREE.Quaternion().setFromEuler(swing));
+    }
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Retargeting: MediaPipe blendshape categories → avatar morph target weights,
+ * through a retarget profile (default gains, or "<model>.retarget.json").
+ */
+
+const BLENDSHAPE_GAIN = {
+  mouth: 2.2,
+  jaw: 2.2,
+  tongue: 2.5,
+  eye: 1.2,
+  brow: 1.2,
+  default: 1,
+};
+
+// The categories FaceLandmarker outputs (besides _neutral), in its order.
+export const MEDIAPIPE_BLENDSHAPES = [
+  "browDownLeft", "browDownRight", "browInnerUp", "browOuterUpLeft", "browOuterUpRight",
+  "cheekPuff", "cheekSquintLeft", "cheekSquintRight", "eyeBlinkLeft", "eyeBlinkRight",
+  "eyeLookDownLeft", "eyeLookDownRight", "eyeLookInLeft", "eyeLookInRight", "eyeLookOutLeft",
+  "eyeLookOutRight", "eyeLookUpLeft", "eyeLookUpRight", "eyeSquintLeft", "eyeSquintRight",
+  "eyeWideLeft", "eyeWideRight", "jawForward", "jawLeft", "jawOpen", "jawRight", "mouthClose",
+  "mouthDimpleLeft", "mouthDimpleRight", "mouthFrownLeft", "mouthFrownRight", "mouthFunnel",
+  "mouthLeft", "mouthLowerDownLeft", "mouthLowerDownRight", "mouthPressLeft",
+  "mouthPressRight", "mouthPucker", "mouthRight", "mouthRollLower", "mouthRollUpper",
+  "mouthShrugLower", "mouthShrugUpper", "mouthSmileLeft", "mouthSmileRight",
+  "mouthStretchLeft", "mouthStretchRight", "mouthUpperUpLeft", "mouthUpperUpRight",
+  "noseSneerLeft", "noseSneerRight",
+];
+
+// Retarget profile format (JSON, loaded from "<model>.retarget.json" next to the GLB):
+// {
+//   "version": 1,
+//   "name": "my-avatar",
+//   "mirror": false,        // swap Left/Right categories (eyeBlinkLeft drives the right side)
+//   "passthrough": true,    // categories without an entry drive the morph target of the same name
+//   "rules": [              // per-category defaults; the first matching regex wins
+//     { "match": "mouth|Mouth", "gain": 2.2 }
+//   ],
+//   "categories": {
+//     "jawOpen": {
+//       "gain": 2.0,        // multiplier on the score
+//       "deadZone": 0.05,   // values below this become 0; the rest is rescaled to 0..1
+//       "curve": 1.5,       // exponent, or [[in, out], ...] points of a piecewise-linear curve
+//       "clamp": [0, 0.9],  // output range
+//       "targets": [{ "name": "MouthOpen", "weight": 1 }, "Teeth_Show"]
+//     }
+//   }
+// }
+// Morph targets driven by several categories are summed, then clamped to 0..1.
+const RETARGET_PROFILE_VERSION = 1;
+
+// Same gains the app always used, expressed as a profile.
+export const DEFAULT_RETARGET_PROFILE = {
+  version: RETARGET_PROFILE_VERSION,
+  name: "default",
+  mirror: false,
+  passthrough: true,
+  rules: [
+    { match: "mouth|Mouth", gain: BLENDSHAPE_GAIN.mouth },
+    { match: "jaw|Jaw", gain: BLENDSHAPE_GAIN.jaw },
+    { match: "tongue|Tongue", gain: BLENDSHAPE_GAIN.tongue },
+    { match: "eye|Eye", gain: BLENDSHAPE_GAIN.eye },
+    { match: "brow|Brow", gain: BLENDSHAPE_GAIN.brow },
+  ],
+  categories: {},
+};
+
+const compiledRetargetProfiles = new WeakMap();
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// Checks the fields a rule or category entry may set, so a bad profile is
+// rejected when it loads rather than failing (or giving NaN) every frame.
+function validateRetargetMapping(entry, label) {
+  const fail = (message) => {
+    throw new Error(`retarget profile ${label}: ${message}`);
+  };
+  const { gain, deadZone, curve, clamp, targets } = entry;
+  if (gain !== undefined && !isNumber(gain)) fail("'gain' must be a number");
+  if (deadZone !== undefined && !(isNumber(deadZone) && deadZone >= 0 && deadZone < 1)) {
+    fail("'deadZone' must be a number in [0, 1)");
+  }
+  const isPoint = (p) => Array.isArray(p) && p.length === 2 && p.every(isNumber);
+  if (curve !== undefined && !isNumber(curve) && !(Array.isArray(curve) && curve.every(isPoint))) {
+    fail("'curve' must be a number or an array of [in, out] pairs");
+  }
+  if (clamp !== undefined && !isPoint(clamp)) fail("'clamp' must be [min, max]");
+  const isTarget = (t) =>
+    typeof t === "string" ||
+    (t && typeof t.name === "string" && (t.weight === undefined || isNumber(t.weight)));
+  if (targets !== undefined && !(Array.isArray(targets) && targets.every(isTarget))) {
+    fail("'targets' must be an array of names or { name, weight }");
+  }
+}
+
+// Validate a profile and cache its regexes; throws on malformed input.
+export function compileRetargetProfile(profile) {
+  const cached = compiledRetargetProfiles.get(profile);
+  if (cached) return cached;
+  if (!profile || typeof profile !== "object") {
+    throw new Error("retarget profile must be a JSON object");
+  }
+  if (profile.version !== RETARGET_PROFILE_VERSION) {
+    throw new Error(`unsupported retarget profile version ${profile.version}`);
+  }
+  if (profile.rules !== undefined && !Array.isArray(profile.rules)) {
+    throw new Error("retarget profile 'rules' must be an array");
+  }
+  for (const rule of profile.rules || []) {
+    if (typeof rule?.match !== "string") {
+      throw new Error("every retarget profile rule needs a 'match' string");
+    }
+    validateRetargetMapping(rule, `rule '${rule.match}'`);
+  }
+  if (profile.categories !== undefined) {
+    if (!profile.categories || typeof profile.categories !== "object") {
+      throw new Error("retarget profile 'categories' must be an object");
+    }
+    for (const [name, entry] of Object.entries(profile.categories)) {
+      if (!entry || typeof entry !== "object") {
+        throw new Error(`retarget profile category '${name}' must be an object`);
+      }
+      validateRetargetMapping(entry, `category '${name}'`);
+    }
+  }
+  const compiled = {
+    mirror: Boolean(profile.mirror),
+    passthrough: profile.passthrough !== false,
+    rules: (profile.rules || []).map((rule) => ({ regex: new RegExp(rule.match), rule })),
+    categories: profile.categories || {},
+    resolved: new Map(),
+  };
+  compiledRetargetProfiles.set(profile, compiled);
+  return compiled;
+}
+
+export function resolveRetargetCategory(compiled, name) {
+  let mapping = compiled.resolved.get(name);
+  if (mapping) return mapping;
+  const entry = compiled.categories[name] || {};
+  const rule = compiled.rules.find((r) => r.regex.test(name))?.rule || {};
+  const pick = (key, fallback) => entry[key] ?? rule[key] ?? fallback;
+  const targets = entry.targets ?? (compiled.passthrough ? [name] : []);
+  mapping = {
+    gain: pick("gain", BLENDSHAPE_GAIN.default),
+    deadZone: pick("deadZone", 0),
+    curve: pick("curve", 1),
+    clamp: pick("clamp", [0, 1]),
+    targets: targets.map((t) => (typeof t === "string" ? { name: t, weight: 1 } : { weight: 1, ...t })),
+  };
+  compiled.resolved.set(name, mapping);
+  return mapping;
+}
+
+function applyRetargetCurve(value, curve) {
+  if (Array.isArray(curve)) {
+    if (curve.length === 0) return value;
+    if (value <= curve[0][0]) return curve[0][1];
+    for (let i = 1; i < curve.length; i++) {
+      const [x0, y0] = curve[i - 1];
+      const [x1, y1] = curve[i];
+      if (value <= x1) return x1 === x0 ? y1 : y0 + ((value - x0) / (x1 - x0)) * (y1 - y0);
+    }
+    return curve[curve.length - 1][1];
+  }
+  return curve === 1 ? value : Math.pow(value, curve);
+}
+
+export function mirrorCategoryName(name) {
+  return name.replace(/(Left|Right)$/, (side) => (side === "Left" ? "Right" : "Left"));
+}
+
+// Returns a Map of morph target name → weight. With a calibration profile,
+// scores are first normalized to the user's own rest..max range.
+export function retarget(blendshapes, calibration = null, profile = DEFAULT_RETARGET_PROFILE) {
+  const compiled = compileRetargetProfile(profile);
+  const categories = blendshapes[0].categories;
+  const map = new Map();
+  for (const c of categories) {
+    const name = compiled.mirror ? mirrorCategoryName(c.categoryName) : c.categoryName;
+    const mapping = resolveRetargetCategory(compiled, name);
+    if (mapping.targets.length === 0) continue;
+    let value = calibration?.profile
+      ? calibration.normalize(c.categoryName, c.score, mapping.gain)
+      : c.score * mapping.gain;
+    value = Math.max(0, Math.min(1, value));
+    if (mapping.deadZone > 0) {
+      value = value <= mapping.deadZone ? 0 : (value - mapping.deadZone) / (1 - mapping.deadZone);
+    }
+    value = applyRetargetCurve(value, mapping.curve);
+    value = Math.max(mapping.clamp[0], Math.min(mapping.clamp[1], value));
+    for (const target of mapping.targets) {
+      map.set(target.name, (map.get(target.name) || 0) + value * target.weight);
+    }
+  }
+  for (const [name, value] of map) map.set(name, Math.max(0, Math.min(1, value)));
+  return map;
+}
+
+export function getRetargetProfileUrl(modelUrl) {
+  return modelUrl.replace(/\.(glb|gltf)(?=$|[?#])/i, ".retarget.json");
+}
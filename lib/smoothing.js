@@ -0,0 +1,127 @@
+/**
+ * Smoothing between MediaPipe and the avatar: One Euro filtering of the head
+ * pose and a low-pass on the retargeted blendshapes.
+ */
+
+import * as THREE from "three";
+import { SMOOTHING_DEFAULTS } from "./config.js";
+
+// If no face was seen for this long, snap to the next pose instead of
+// gliding there from wherever the head was last seen.
+export const SMOOTHING_RESET_AFTER_S = 0.5;
+
+// Exponential smoothing factor for a first-order low-pass at cutoffHz.
+export function lowPassAlpha(cutoffHz, dt) {
+  const tau = 1 / (2 * Math.PI * cutoffHz);
+  return 1 / (1 + tau / dt);
+}
+
+// One Euro filter (Casiez et al.): heavy smoothing when still, little lag
+// when moving fast. dt is in seconds.
+class OneEuroFilter {
+  constructor(minCutoff = 1, beta = 0, dCutoff = 1) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+
+  reset() {
+    this.x = null;
+    this.dx = 0;
+  }
+
+  filter(value, dt) {
+    if (this.x === null || !(dt > 0)) {
+      this.x = value;
+      this.dx = 0;
+      return value;
+    }
+    const dx = (value - this.x) / dt;
+    this.dx += lowPassAlpha(this.dCutoff, dt) * (dx - this.dx);
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.dx);
+    this.x += lowPassAlpha(cutoff, dt) * (value - this.x);
+    return this.x;
+  }
+}
+
+export class TrackingFilter {
+  constructor(settings = SMOOTHING_DEFAULTS) {
+    this.positionFilters = [new OneEuroFilter(), new OneEuroFilter(), new OneEuroFilter()];
+    this.blendshapeValues = new Map();
+    this.configure(settings);
+    this.reset();
+  }
+
+  configure({ poseStrength, blendshapeCutoff }) {
+    this.poseStrength = Math.max(0, Math.min(1, poseStrength));
+    this.blendshapeCutoff = Math.max(0.1, blendshapeCutoff);
+    // Strength 0..1 maps to a min cutoff of 10 Hz..0.2 Hz (log scale).
+    this.minCutoff = 10 * Math.pow(0.02, this.poseStrength);
+    // Face matrix translation is in cm, rotation speed in rad/s.
+    for (const f of this.positionFilters) {
+      f.minCutoff = this.minCutoff;
+      f.beta = 0.05;
+    }
+    this.rotationBeta = 0.5;
+  }
+
+  reset() {
+    for (const f of this.positionFilters) f.reset();
+    this.quaternion = null;
+    this.rotationSpeed = 0;
+    this.lastPoseTime = null;
+    this.blendshapeValues.clear();
+    this.lastBlendshapeTime = null;
+  }
+
+  // Returns the smoothed matrix (the input itself at strength 0).
+  filterPose(matrix, timeMs) {
+    if (this.poseStrength === 0) return matrix;
+    const dt = this.lastPoseTime === null ? 0 : (timeMs - this.lastPoseTime) / 1000;
+    this.lastPoseTime = timeMs;
+    if (dt > SMOOTHING_RESET_AFTER_S) {
+      for (const f of this.positionFilters) f.reset();
+      this.quaternion = null;
+    }
+
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const matrixScale = new THREE.Vector3();
+    matrix.decompose(position, quaternion, matrixScale);
+
+    position.set(
+      this.positionFilters[0].filter(position.x, dt),
+      this.positionFilters[1].filter(position.y, dt),
+      this.positionFilters[2].filter(position.z, dt)
+    );
+
+    if (!this.quaternion || !(dt > 0)) {
+      this.quaternion = quaternion.clone();
+      this.rotationSpeed = 0;
+    } else {
+      // One Euro logic on angular speed, applied as a slerp toward the new rotation.
+      const speed = this.quaternion.angleTo(quaternion) / dt;
+      this.rotationSpeed += lowPassAlpha(1, dt) * (speed - this.rotationSpeed);
+      const cutoff = this.minCutoff + this.rotationBeta * this.rotationSpeed;
+      this.quaternion.slerp(quaternion, lowPassAlpha(cutoff, dt));
+    }
+
+    return new THREE.Matrix4().compose(position, this.quaternion, matrixScale);
+  }
+
+  filterBlendshapes(blendshapes, timeMs) {
+    const dt = this.lastBlendshapeTime === null ? 0 : (timeMs - this.lastBlendshapeTime) / 1000;
+    this.lastBlendshapeTime = timeMs;
+    const snap = !(dt > 0) || dt > SMOOTHING_RESET_AFTER_S;
+    const alpha = snap ? 1 : lowPassAlpha(this.blendshapeCutoff, dt);
+    const out = new Map();
+    for (const [name, value] of blendshapes) {
+      const prev = this.blendshapeValues.get(name);
+      const next = prev === undefined ? value : prev + alpha * (value - prev);
+      this.blendshapeValues.set(name, next);
+      out.set(name, next);
+    }
+    return out;
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * Takes: raw tracker output recorded as JSON lines, parsed back and replayed
+ * as FaceLandmarker-shaped results (the take source, take export and tests).
+ */
+
+import { logMsg } from "./log.js";
+
+// Take file format, one JSON object per line:
+//   {"format":"watchdog-take","version":1,"createdAt":"…","categories":["_neutral",…]}
+//   {"t":0,"m":[16 numbers, column-major face matrix],"b":[scores in header category order]}
+//   {"t":33.4}                 ← a frame where no face was found
+// t is milliseconds since the first frame. The raw tracker output is stored
+// (before calibration, retargeting and smoothing) so a take can be replayed
+// through any avatar, profile or filter setting.
+const TAKE_FORMAT = "watchdog-take";
+const TAKE_VERSION = 1;
+const TAKE_DIGITS = 5;
+
+function roundTo(value, digits) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+export class TakeRecorder {
+  constructor() {
+    this.recording = false;
+    this.header = null;
+    this.frames = [];
+  }
+
+  start() {
+    this.recording = true;
+    this.startTime = null;
+    this.header = {
+      format: TAKE_FORMAT,
+      version: TAKE_VERSION,
+      createdAt: new Date().toISOString(),
+      categories: null,
+    };
+    this.frames = [];
+    logMsg("Take recording started.", "tracking");
+  }
+
+  capture(result, time) {
+    if (!this.recording) return;
+    if (this.startTime === null) this.startTime = time;
+    const frame = { t: roundTo(time - this.startTime, 2) };
+    const matrices = result.facialTransformationMatrixes;
+    const blendshapes = result.faceBlendshapes;
+    if (matrices && matrices.length > 0) {
+      frame.m = Array.from(matrices[0].data, (v) => roundTo(v, TAKE_DIGITS));
+    }
+    if (blendshapes && blendshapes.length > 0) {
+      const categories = blendshapes[0].categories;
+      if (!this.header.categories) this.header.categories = categories.map((c) => c.categoryName);
+      frame.b = categories.map((c) => roundTo(c.score, TAKE_DIGITS));
+    }
+    this.frames.push(frame);
+  }
+
+  // Stop and return the take as JSON lines text.
+  stop() {
+    this.recording = false;
+    logMsg(`Take recording stopped: ${this.frames.length} frames.`, "tracking");
+    return serializeTake(this.header, this.frames);
+  }
+}
+
+function serializeTake(header, frames) {
+  const lines = [JSON.stringify({ ...header, categories: header.categories || [] })];
+  for (const frame of frames) lines.push(JSON.stringify(frame));
+  return lines.join("\n") + "\n";
+}
+
+// Parse JSON lines text into { header, frames }; throws on anything malformed.
+export function parseTake(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim());
+  if (lines.length === 0) throw new Error("take file is empty");
+  const header = JSON.parse(lines[0]);
+  if (header.format !== TAKE_FORMAT) throw new Error("not a watchdog take file");
+  if (header.version !== TAKE_VERSION) throw new Error(`unsupported take version ${header.version}`);
+  const frames = lines.slice(1).map((line, i) => {
+    const frame = JSON.parse(line);
+    if (typeof frame.t !== "number") throw new Error(`frame ${i + 1} has no timestamp`);
+    if (frame.m && frame.m.length !== 16) throw new Error(`frame ${i + 1} matrix is not 4x4`);
+    return frame;
+  });
+  return { header, frames };
+}
+
+// Rebuild the FaceLandmarker result shape that resultFaces (tracking.js) reads.
+export function takeFrameToResult(take, frame) {
+  const result = { facialTransformationMatrixes: [], faceBlendshapes: [] };
+  if (frame.m) result.facialTransformationMatrixes.push({ rows: 4, columns: 4, data: frame.m });
+  if (frame.b) {
+    result.faceBlendshapes.push({
+      categories: frame.b.map((score, index) => ({
+        index,
+        score,
+        categoryName: take.header.categories[index],
+        displayName: "",
+      })),
+    });
+  }
+  return result;
+}
+
+export class TakePlayer {
+  constructor(take, options = {}) {
+    this.take = take;
+    this.loop = options.loop ?? true;
+    const frames = take.frames;
+    this.duration = frames.length ? frames[frames.length - 1].t : 0;
+  }
+
+  // Last frame at or before elapsedMs (wrapping when looping), or null.
+  frameAt(elapsedMs) {
+    const frames = this.take.frames;
+    if (frames.length === 0) return null;
+    let t = elapsedMs;
+    if (this.loop && this.duration > 0) t %= this.duration;
+    let lo = 0;
+    let hi = frames.length - 1;
+    if (t < frames[0].t) return frames[0];
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (frames[mid].t <= t) lo = mid;
+      else hi = mid - 1;
+    }
+    return frames[lo];
+  }
+
+  isFinished(elapsedMs) {
+    return !this.loop && elapsedMs > this.duration;
+  }
+}
@@ -0,0 +1,292 @@
+/**
+ * Multi-face tracking: detected faces matched to avatar slots with stable
+ * identities (FaceTracker), and each face's way from a FaceLandmarker result
+ * to its avatar's motion layer (FaceTrack.apply).
+ */
+
+import * as THREE from "three";
+import { logMsg } from "./log.js";
+import {
+  EXPRESSIONS_DEFAULTS,
+  FACES_DEFAULTS,
+  HEAD_POSE_DEFAULTS,
+  MAX_FACES,
+  MOTION_DEFAULTS,
+  SMOOTHING_DEFAULTS,
+} from "./config.js";
+import { SMOOTHING_RESET_AFTER_S, TrackingFilter } from "./smoothing.js";
+import { retarget } from "./retarget.js";
+import { ExpressionDetector } from "./expressions.js";
+import { AvatarMotion, decomposePose } from "./motion.js";
+
+// Faces further than this (face-matrix units, ~cm) from where a track was
+// expected to be are treated as a different person.
+const FACE_MATCH_MAX_DISTANCE = 20;
+// Hold a lost face's avatar in place this long before it leaves.
+const FACE_DESPAWN_MS = 800;
+// Extra avatars scale in/out over this long when faces enter or leave.
+const FACE_FADE_MS = 250;
+
+// The faces of a FaceLandmarker-shaped result (live, a take frame or a
+// network frame), as FaceTracker.update and FaceTrack.apply take them.
+// morphTargets: already retargeted values (network source), per face.
+export function resultFaces(result) {
+  const matrices = result.facialTransformationMatrixes || [];
+  const blendshapes = result.faceBlendshapes || [];
+  // Takes and network frames have no landmarks.
+  const landmarks = result.faceLandmarks || [];
+  const morphTargets = result.morphTargets || [];
+  return matrices.map((m, i) => ({
+    matrix: new THREE.Matrix4().fromArray(m.data),
+    blendshapes: blendshapes[i] ? [blendshapes[i]] : null,
+    landmarks: landmarks[i] || null,
+    morphTargets: morphTargets[i] || null,
+  }));
+}
+
+// One tracked face and its per-face state: smoothing, expression detectors
+// and where it was last seen (for FaceTracker's matching).
+export class FaceTrack {
+  constructor(id, avatar, { smoothing, expressions, motion }) {
+    this.id = id;
+    this.avatar = avatar;
+    this.motion = motion;
+    this.filter = new TrackingFilter(smoothing);
+    this.expressions = new ExpressionDetector(expressions);
+    this.position = new THREE.Vector3();
+    this.velocity = new THREE.Vector3();
+    this.lastSeen = null;
+    this.presence = 0; // 0..1, scales the avatar while entering/leaving
+    this.leaving = false;
+    this.pose = null;
+    // Last scores, for Settings → Output: { raw: categories, retargeted: Map }.
+    this.outputBlendshapes = null;
+  }
+
+  // headPose: Settings → Head pose to place the avatar with, the avatar's own
+  // unless given.
+  setPose(matrix, time, headPose = this.avatar.headPose) {
+    this.pose = { matrix };
+    // Neutral for the motion layer: same place, facing the camera.
+    const { position, scale } = decomposePose(matrix);
+    const neutral = new THREE.Matrix4().compose(position, new THREE.Quaternion(), scale);
+    this.motion.setPose(
+      this.avatar.poseMatrix(matrix, { headPose }),
+      time,
+      this.avatar.poseMatrix(neutral, { headPose })
+    );
+    this.applyPose();
+  }
+
+  // The motion layer places the avatar each frame; presence scales it.
+  applyPose() {
+    this.motion.presence = this.presence;
+  }
+
+  // One frame of this face (as FaceTracker.update matched it) through
+  // calibration, smoothing, the derived expressions and retargeting to the
+  // motion layer. options.calibration: a Calibrator to apply (none unless
+  // given). options.expressions: false skips the derived-expression detectors.
+  // options.headPose: as for setPose. options.frame: the image the landmarks
+  // came from, for the tongue detector. options.blend: (blendshapes, matrix) →
+  // blendshapes, run before the detectors (audio lip sync).
+  apply(face, time, options = {}) {
+    const { calibration = null, expressions = true, headPose, frame = null, blend } = options;
+    const matrix = calibration ? calibration.neutralize(face.matrix) : face.matrix;
+    this.setPose(this.filter.filterPose(matrix, time), time, headPose);
+    if (face.blendshapes) {
+      const blendshapes = blend ? blend(face.blendshapes, matrix) : face.blendshapes;
+      // Only live camera frames match the landmarks the tongue detector samples.
+      const withDerived = expressions
+        ? this.expressions.apply({ ...face, matrix, blendshapes }, time, frame)
+        : blendshapes;
+      const retargeted = this.filter.filterBlendshapes(
+        retarget(withDerived, calibration, this.avatar.retargetProfile),
+        time
+      );
+      this.motion.setBlendshapes(retargeted);
+      this.outputBlendshapes = { raw: withDerived[0].categories, retargeted };
+    } else if (face.morphTargets) {
+      // Already retargeted by the sender (network source).
+      const retargeted = this.filter.filterBlendshapes(face.morphTargets, time);
+      this.motion.setBlendshapes(retargeted);
+      this.outputBlendshapes = { raw: [], retargeted };
+    }
+  }
+}
+
+// Assigns detected faces to avatar slots with stable identities: each track
+// predicts where its face should be from its last position and velocity,
+// and faces are matched to the nearest prediction. Slot 0 is the primary
+// avatar; it never disappears and just holds its last pose when its face leaves.
+export class FaceTracker {
+  constructor(createAvatar, options = {}) {
+    this.createAvatar = createAvatar;
+    this.slots = [];
+    this.maxFaces = options.maxFaces ?? FACES_DEFAULTS.maxFaces;
+    this.smoothing = { ...SMOOTHING_DEFAULTS };
+    this.motion = { ...MOTION_DEFAULTS };
+    this.expressions = { ...EXPRESSIONS_DEFAULTS };
+    this.headPose = { ...HEAD_POSE_DEFAULTS };
+    this.nextId = 1;
+    this.lastAnimateTime = null;
+  }
+
+  slot(index) {
+    if (!this.slots[index]) {
+      const avatar = this.createAvatar(index);
+      avatar.headPose = this.headPose;
+      this.slots[index] = { avatar, track: null, motion: new AvatarMotion(avatar, this.motion) };
+    }
+    return this.slots[index];
+  }
+
+  get primaryAvatar() {
+    return this.slot(0).avatar;
+  }
+
+  get tracks() {
+    return this.slots.filter((s) => s && s.track).map((s) => s.track);
+  }
+
+  // Same shape as TrackingFilter.configure so the Smoothing UI can drive it.
+  configure(settings) {
+    this.smoothing = { ...settings };
+    for (const track of this.tracks) track.filter.configure(settings);
+  }
+
+  reset() {
+    for (const track of this.tracks) {
+      track.filter.reset();
+      track.expressions.reset();
+    }
+  }
+
+  // Settings → Head pose, shared by every avatar.
+  configureHeadPose(settings) {
+    this.headPose = { ...settings };
+    for (const slot of this.slots) if (slot) slot.avatar.headPose = this.headPose;
+  }
+
+  // Same shape as ExpressionDetector.configure (Settings → Expressions).
+  configureExpressions(settings) {
+    this.expressions = { ...settings };
+    for (const track of this.tracks) track.expressions.configure(settings);
+  }
+
+  // Same shape as AvatarMotion.configure (Settings → Motion).
+  configureMotion(settings) {
+    this.motion = { ...settings };
+    for (const slot of this.slots) if (slot) slot.motion.configure(settings);
+  }
+
+  setMaxFaces(maxFaces) {
+    this.maxFaces = Math.max(1, Math.min(MAX_FACES, maxFaces));
+    this.slots.forEach((slot, index) => {
+      if (slot && index >= this.maxFaces) this.release(index);
+    });
+  }
+
+  release(index) {
+    const slot = this.slots[index];
+    if (!slot || !slot.track) return;
+    logMsg(`Face ${slot.track.id} left (avatar ${index + 1}).`, "tracking");
+    slot.track = null;
+    if (index > 0) slot.avatar.setVisible(false);
+  }
+
+  spawn(index, time) {
+    const slot = this.slot(index);
+    const track = new FaceTrack(this.nextId++, slot.avatar, {
+      smoothing: this.smoothing,
+      expressions: this.expressions,
+      motion: slot.motion,
+    });
+    track.presence = index === 0 ? 1 : 0;
+    track.lastSeen = time;
+    slot.track = track;
+    slot.avatar.setVisible(true);
+    logMsg(`Face ${track.id} entered (avatar ${index + 1}).`, "tracking");
+    return track;
+  }
+
+  // faces: as from resultFaces. Returns [{ track, face }] for matched faces.
+  update(faces, time) {
+    const positions = faces.map((f) => new THREE.Vector3().setFromMatrixPosition(f.matrix));
+    const candidates = [];
+    for (const slot of this.slots) {
+      const track = slot && slot.track;
+      if (!track) continue;
+      const dt = Math.min(Math.max((time - track.lastSeen) / 1000, 0), SMOOTHING_RESET_AFTER_S);
+      const predicted = track.position.clone().addScaledVector(track.velocity, dt);
+      positions.forEach((p, faceIndex) => {
+        const distance = p.distanceTo(predicted);
+        if (distance <= FACE_MATCH_MAX_DISTANCE) candidates.push({ track, faceIndex, distance });
+      });
+    }
+    candidates.sort((a, b) => a.distance - b.distance);
+
+    const matched = new Map(); // faceIndex -> track
+    const usedTracks = new Set();
+    for (const c of candidates) {
+      if (usedTracks.has(c.track) || matched.has(c.faceIndex)) continue;
+      usedTracks.add(c.track);
+      matched.set(c.faceIndex, c.track);
+    }
+    faces.forEach((_, faceIndex) => {
+      if (matched.has(faceIndex)) return;
+      for (let i = 0; i < this.maxFaces; i++) {
+        if (!this.slots[i] || !this.slots[i].track) {
+          const track = this.spawn(i, time);
+          track.position.copy(positions[faceIndex]);
+          matched.set(faceIndex, track);
+          return;
+        }
+      }
+    });
+
+    const assignments = [];
+    for (const [faceIndex, track] of matched) {
+      const dt = (time - track.lastSeen) / 1000;
+      if (dt > 0 && dt < SMOOTHING_RESET_AFTER_S) {
+        const velocity = positions[faceIndex].clone().sub(track.position).divideScalar(dt);
+        track.velocity.lerp(velocity, 0.5);
+      } else {
+        track.velocity.set(0, 0, 0);
+      }
+      track.position.copy(positions[faceIndex]);
+      track.lastSeen = time;
+      track.leaving = false;
+      assignments.push({ track, face: faces[faceIndex] });
+    }
+    return assignments;
+  }
+
+  // Called every rendered frame: fade avatars in/out, drop lost faces and
+  // run each avatar's motion layer.
+  animate(now) {
+    const dt = this.lastAnimateTime === null ? 0 : now - this.lastAnimateTime;
+    this.lastAnimateTime = now;
+    this.slots.forEach((slot, index) => {
+      const track = slot && slot.track;
+      if (!track) return;
+      if (now - track.lastSeen > FACE_DESPAWN_MS) {
+        if (index === 0) {
+          this.release(0);
+          return;
+        }
+        track.leaving = true;
+      }
+      const target = track.leaving ? 0 : 1;
+      if (track.presence === target) return;
+      const step = dt / FACE_FADE_MS;
+      track.presence =
+        target > track.presence
+          ? Math.min(target, track.presence + step)
+          : Math.max(target, track.presence - step);
+      track.applyPose();
+      if (track.leaving && track.presence === 0) this.release(index);
+    });
+    for (const slot of this.slots) if (slot) slot.motion.update(now);
+  }
+}
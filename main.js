@@ -2,45 +2,106 @@
  * Watchdog Face Tracking — MediaPipe + Three.js
  *
  * Flow: camera → MediaPipe Face Landmarker → face matrix + blendshapes → 3D avatar.
+ * Optional upper-body mode adds the Pose and Hand Landmarkers and a rigged body.
  * Avatar loads from Watchdog Model/watchdog_head.glb + Watchdog Image.png.
  * If GLB fails, a ? placeholder tracks your head.
+ * Runtime assets come from the CDNs, or from a local base (?assets=vendor/).
  */
 
 import * as THREE from "three";
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+import * as SkeletonUtils from "three/examples/jsm/utils/SkeletonUtils.js";
 import {
   FilesetResolver,
   FaceLandmarker,
-} from "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.1.0-alpha-16";
+  PoseLandmarker,
+  HandLandmarker,
+} from "@mediapipe/tasks-vision";
+import {
+  formatLogEntry,
+  LOG_LEVELS,
+  LOG_TIME_FORMAT,
+  logEntries,
+  logListeners,
+  logMsg,
+} from "./lib/log.js";
+import {
+  ACCESSORY_DEFAULTS,
+  APPEARANCE_DEFAULTS,
+  APPEARANCE_PRESETS,
+  AVATAR_DEPTH,
+  BODY_DEFAULTS,
+  CAMERA_DEFAULTS,
+  CLIP_DEFAULTS,
+  CLIP_FPS,
+  CLIP_MIME_TYPES,
+  EXPRESSIONS_DEFAULTS,
+  FACE_AVATAR_VARIANTS,
+  FACES_DEFAULTS,
+  getBroadcastOptions,
+  HEAD_POSE_DEFAULTS,
+  LIPSYNC_DEFAULTS,
+  loadSettings,
+  MEDIAPIPE_ASSETS,
+  MOTION_DEFAULTS,
+  OUTFITS_DEFAULTS,
+  OUTPUT_DEFAULTS,
+  PERFORMANCE_DEFAULTS,
+  saveSettings,
+  SETTINGS_KEY_PREFIX,
+  SMOOTHING_DEFAULTS,
+  SOURCE_DEFAULTS,
+  WATCHDOG_TEXTURE_URL,
+} from "./lib/config.js";
+import {
+  HEAD_POSE_POSITION_AXES,
+  HEAD_POSE_ROTATION_AXES,
+  headAngles,
+  mapHeadPose,
+} from "./lib/head-pose.js";
+import { lowPassAlpha, SMOOTHING_RESET_AFTER_S, TrackingFilter } from "./lib/smoothing.js";
+import { MEDIAPIPE_BLENDSHAPES, retarget } from "./lib/retarget.js";
+import {
+  defaultModelSource,
+  deleteAccessoryRecord,
+  deleteModelRecord,
+  getModelRecord,
+  getUrlModelSource,
+  listAccessoryRecords,
+  listModelRecords,
+  MODEL_FILE_PATTERN,
+  modelSourceFromFiles,
+  saveAccessoryRecord,
+  saveModelRecord,
+} from "./lib/model-store.js";
+import { accessoryAssets, Avatar } from "./lib/avatar.js";
+import { decomposePose, smoothstep } from "./lib/motion.js";
+import { FaceTracker, resultFaces } from "./lib/tracking.js";
+import { Calibrator } from "./lib/calibration.js";
+import { parseTake, TakePlayer, TakeRecorder, takeFrameToResult } from "./lib/takes.js";
 
 // ---------------------------------------------------------------------------
 // Logging
 // ---------------------------------------------------------------------------
 
-const logLines = [];
-function logMsg(msg) {
-  const now = new Date();
-  const tsUtc = now.toISOString(); // e.g. 2026-02-02T07:27:18.449Z
-  const tsLocal = now.toLocaleString("en-US", {
-    timeZone: "America/Los_Angeles", // San Diego (Pacific Time)
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-    hour12: true,
-  }); // e.g. 02/01/2026, 11:27:18 PM
-  const line = `[UTC ${tsUtc} | PT ${tsLocal}] ${msg}`;
-  logLines.push(line);
-  console.log(msg);
+const logFilter = { level: "debug", category: "", search: "" };
+
+function logEntryShown(entry) {
+  if (LOG_LEVELS.indexOf(entry.level) < LOG_LEVELS.indexOf(logFilter.level)) return false;
+  if (logFilter.category && entry.category !== logFilter.category) return false;
+  return !logFilter.search || entry.message.toLowerCase().includes(logFilter.search);
+}
+
+function renderLogs() {
   const pre = document.getElementById("logs-content");
-  if (pre) {
-    pre.textContent = logLines.join("\n");
-    pre.scrollTop = pre.scrollHeight;
-  }
+  if (!pre) return;
+  pre.textContent = logEntries.filter(logEntryShown).map(formatLogEntry).join("\n");
+  pre.scrollTop = pre.scrollHeight;
 }
 
+logListeners.add(renderLogs);
+
 function setStatus(text, hide = false) {
   logMsg(text);
   const el = document.getElementById("status");
@@ -50,30 +111,140 @@ function setStatus(text, hide = false) {
 }
 
 // ---------------------------------------------------------------------------
-// Config
+// Runtime assets (CDN or self-hosted) and offline cache
 // ---------------------------------------------------------------------------
 
-// How big / how far the head sits in front of the camera.
-// We keep these modest and let face tracking tweak scale slightly.
-const AVATAR_SCALE = 1.0;
-const AVATAR_DEPTH = -2.5;
+// "" = CDNs; otherwise a base URL ending in "/" (set by index.html).
+const assetBase = document.documentElement.dataset.assetBase || "";
+
+function assetUrl(key) {
+  const asset = MEDIAPIPE_ASSETS[key];
+  return assetBase ? new URL(assetBase + asset.local, location.href).href : asset.cdn;
+}
+
+// Errors carry .asset (the label) so the status line can say what failed.
+function assetError(key, reason, url = assetUrl(key)) {
+  const { label } = MEDIAPIPE_ASSETS[key];
+  const err = new Error(`Could not load ${label}`);
+  err.asset = label;
+  logMsg(`Could not load ${label} from ${url}: ${reason}`, "mediapipe", "error");
+  return err;
+}
 
-function getAvatarModelUrl() {
+async function fetchAsset(key) {
+  let res;
   try {
-    return new URL("Watchdog Model/watchdog_head.glb", window.location.href).href;
-  } catch (_) {
-    return "Watchdog Model/watchdog_head.glb";
+    res = await fetch(assetUrl(key));
+  } catch (e) {
+    throw assetError(key, e.message || e);
+  }
+  if (!res.ok) throw assetError(key, `HTTP ${res.status}`);
+  return new Uint8Array(await res.arrayBuffer());
+}
+
+// FilesetResolver only hands URLs to the loader, whose failure is an opaque
+// script error, so check the files exist first. Some servers refuse HEAD (405).
+// WASM_SIMD_PROBE is the module FilesetResolver validates to pick the SIMD build.
+const WASM_SIMD_PROBE = [
+  0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0, 65, 0, 253, 15,
+  253, 98, 11,
+];
+
+async function checkWasmAssets() {
+  const simd = WebAssembly.validate(new Uint8Array(WASM_SIMD_PROBE));
+  const name = simd ? "vision_wasm_internal" : "vision_wasm_nosimd_internal";
+  for (const ext of [".js", ".wasm"]) {
+    const url = `${assetUrl("wasm")}/${name}${ext}`;
+    let res;
+    try {
+      res = await fetch(url, { method: "HEAD" });
+    } catch (e) {
+      throw assetError("wasm", e.message || e, url);
+    }
+    if (!res.ok && res.status !== 405) {
+      throw assetError("wasm", `HTTP ${res.status}`, url);
+    }
+  }
+}
+
+// Service worker (sw.js) caches the app and every asset it fetched, so a
+// second visit works offline. Needs a secure context; ?sw=0 turns it off.
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !window.isSecureContext) return;
+  if (new URLSearchParams(location.search).get("sw") === "0") {
+    navigator.serviceWorker.getRegistrations().then((regs) => regs.forEach((r) => r.unregister()));
+    return;
   }
+  navigator.serviceWorker
+    .register("./sw.js")
+    .then(() => logMsg("Offline cache ready."))
+    .catch((e) => logMsg(`Service worker failed: ${e.message || e}`, "app", "warn"));
+}
+
+// ---------------------------------------------------------------------------
+// Settings (wired to the gear panel; loadSettings/saveSettings persist them)
+// ---------------------------------------------------------------------------
+
+// Same click + touchend pairing as the inline gear/logs script in index.html.
+function onTap(el, handler) {
+  el.addEventListener("click", handler);
+  el.addEventListener("touchend", (ev) => {
+    ev.preventDefault();
+    handler(ev);
+  });
+}
+
+function setupSettingsSection(optionId, dropdownId) {
+  const option = document.getElementById(optionId);
+  const dropdown = document.getElementById(dropdownId);
+  if (!option || !dropdown) return null;
+  onTap(option, () => {
+    dropdown.hidden = !dropdown.hidden;
+  });
+  return dropdown;
+}
+
+// Bind a range input (and its sibling <output>, if any) to a numeric setting.
+function bindRange(id, value, onChange) {
+  const input = document.getElementById(id);
+  if (!input) return;
+  const output = input.parentElement?.querySelector(`output[for="${id}"]`);
+  const show = () => {
+    if (output) output.textContent = input.value;
+  };
+  input.value = String(value);
+  show();
+  input.addEventListener("input", () => {
+    show();
+    onChange(Number(input.value));
+  });
 }
 
-const WATCHDOG_TEXTURE_URL = "Watchdog Model/Watchdog Image.png";
+// Bind a checkbox to a boolean setting.
+function bindCheckbox(id, checked, onChange) {
+  const input = document.getElementById(id);
+  if (!input) return;
+  input.checked = checked;
+  input.addEventListener("change", () => onChange(input.checked));
+}
+
+// Bind a <select> to a string setting.
+function bindSelect(id, value, onChange) {
+  const select = document.getElementById(id);
+  if (!select) return;
+  select.value = value;
+  select.addEventListener("change", () => onChange(select.value));
+}
 
 // ---------------------------------------------------------------------------
 // Scene
 // ---------------------------------------------------------------------------
 
 class BasicScene {
-  constructor() {
+  // options.outputSize: fixed { width, height } render size (broadcast mode);
+  // options.background: solid clear color, or 'transparent' (default).
+  constructor(options = {}) {
+    this.outputSize = options.outputSize || null;
     this.scene = new THREE.Scene();
     this.scene.background = null; // no solid color background
 
@@ -84,6 +255,9 @@ class BasicScene {
     // Transparent canvas so we’re not painting a black rectangle
     this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
     this.renderer.setClearColor(0x000000, 0);
+    if (options.background && options.background !== "transparent") {
+      this.renderer.setClearColor(new THREE.Color(options.background), 1);
+    }
     THREE.ColorManagement.legacy = false;
     this.renderer.outputEncoding = THREE.sRGBEncoding;
 
@@ -96,22 +270,37 @@ class BasicScene {
     }
 
     // Log initial render surface info (no device IDs etc., just generic sizes).
-    const w = window.innerWidth;
-    const h = window.innerHeight;
-    logMsg(`Initial canvas size: ${w}x${h}, dpr=${window.devicePixelRatio || 1}`);
+    const w = this.outputSize ? this.outputSize.width : window.innerWidth;
+    const h = this.outputSize ? this.outputSize.height : window.innerHeight;
+    logMsg(`Initial canvas size: ${w}x${h}, dpr=${window.devicePixelRatio || 1}`, "render");
 
     const ambient = new THREE.AmbientLight(0xffffff, 0.7);
     this.scene.add(ambient);
     const dir = new THREE.DirectionalLight(0xffffff, 0.5);
     dir.position.set(0, 1, 0);
     this.scene.add(dir);
+    // Key light from the viewer's side so lit/toon appearances read clearly.
+    const key = new THREE.DirectionalLight(0xffffff, 0.6);
+    key.position.set(0.5, 0.5, 1);
+    this.scene.add(key);
 
     this.lastTime = performance.now();
+    // Called right after each frame is drawn, while the WebGL buffer is still valid.
+    this.renderListeners = new Set();
     window.addEventListener("resize", () => this.resize());
     this.render();
   }
 
   resize() {
+    if (this.outputSize) {
+      // Fixed output resolution; CSS letterboxes the canvas into the window.
+      const { width, height } = this.outputSize;
+      this.camera.aspect = width / height;
+      this.camera.updateProjectionMatrix();
+      this.renderer.setPixelRatio(1);
+      this.renderer.setSize(width, height, false);
+      return;
+    }
     const w = window.innerWidth;
     const h = window.innerHeight;
     this.camera.aspect = w / h;
@@ -123,453 +312,3225 @@ class BasicScene {
   render(time = this.lastTime) {
     this.lastTime = time;
     this.renderer.render(this.scene, this.camera);
+    for (const listener of this.renderListeners) listener(time);
     requestAnimationFrame((t) => this.render(t));
   }
 }
 
 // ---------------------------------------------------------------------------
-// Avatar (GLB + texture, or ? placeholder)
+// Head pose (face matrix → yaw/pitch/roll + position, remapped per axis)
 // ---------------------------------------------------------------------------
 
-class Avatar {
-  constructor(url, scene, options = {}) {
-    this.scene = scene;
-    this.textureUrl = options.textureUrl || null;
-    this.loader = new GLTFLoader();
-    this.gltf = null;
-    this.root = null;
-    this.placeholderMesh = null;
-    this.morphTargetMeshes = [];
-    // Show a simple hologram placeholder immediately so something is always visible.
-    this.showPlaceholder();
-    this.loadModel(url);
+function setupHeadPoseUI(target) {
+  const settings = loadSettings("headPose", HEAD_POSE_DEFAULTS);
+  target.configureHeadPose(settings);
+  setupSettingsSection("headpose-option", "headpose-dropdown");
+  const update = (key) => (value) => {
+    settings[key] = value;
+    saveSettings("headPose", settings);
+    target.configureHeadPose(settings);
+  };
+  const controls = [
+    ["headpose-mirror", "mirror"],
+    ["headpose-lock", "lockPosition"],
+  ];
+  for (const axis of HEAD_POSE_ROTATION_AXES) {
+    for (const field of ["Gain", "Offset", "Min", "Max"]) {
+      controls.push([`headpose-${axis}-${field.toLowerCase()}`, `${axis}${field}`]);
+    }
   }
-
-  loadModel(url) {
-    logMsg(`Loading avatar: ${url}`);
-    this.loader.load(
-      url,
-      (gltf) => {
-        if (this.gltf) {
-          this.gltf.scene.remove();
-          this.morphTargetMeshes = [];
-        }
-        this.gltf = gltf;
-        if (this.textureUrl) {
-          const texUrl = this.textureUrl.startsWith("http")
-            ? this.textureUrl
-            : new URL(this.textureUrl, window.location.href).href;
-          const texLoader = new THREE.TextureLoader();
-          texLoader.load(
-            texUrl,
-            (texture) => {
-              texture.encoding = THREE.sRGBEncoding;
-              // Apply a bright hologram-style material so the shape is clearly visible,
-              // regardless of how dark the source texture is.
-              this.gltf.scene.traverse((obj) => {
-                if (obj.isMesh && obj.material) {
-                  const mats = Array.isArray(obj.material) ? obj.material : [obj.material];
-                  const newMats = mats.map(
-                    () =>
-                      new THREE.MeshBasicMaterial({
-                        map: texture,
-                        color: new THREE.Color("#00ffa3"), // Solana neon tint
-                        morphTargets: true,
-                        transparent: true,
-                        opacity: 0.9,
-                        side: THREE.DoubleSide,
-                      })
-                  );
-                  obj.material = newMats.length === 1 ? newMats[0] : newMats;
-                }
-              });
-              this.addToScene();
-            },
-            undefined,
-            () => {
-              logMsg("Texture failed, using model default.");
-              this.addToScene();
-            }
-          );
+  for (const axis of HEAD_POSE_POSITION_AXES) {
+    for (const field of ["Gain", "Offset"]) {
+      controls.push([`headpose-${axis}-${field.toLowerCase()}`, `${axis}${field}`]);
+    }
+  }
+  for (const [id, key] of controls) {
+    if (typeof settings[key] === "boolean") bindCheckbox(id, settings[key], update(key));
+    else bindRange(id, settings[key], update(key));
+  }
+  const resetBtn = document.getElementById("headpose-reset");
+  if (resetBtn) {
+    onTap(resetBtn, () => {
+      // Set each control and fire its event so its binding saves and applies it.
+      for (const [id, key] of controls) {
+        const input = document.getElementById(id);
+        if (!input) continue;
+        if (input.type === "checkbox") {
+          input.checked = HEAD_POSE_DEFAULTS[key];
+          input.dispatchEvent(new Event("change"));
         } else {
-          this.addToScene();
+          input.value = String(HEAD_POSE_DEFAULTS[key]);
+          input.dispatchEvent(new Event("input"));
         }
-      },
-      undefined,
-      (err) => {
-        logMsg(`Watchdog load failed: ${err}. Showing ? placeholder.`);
-        this.showPlaceholder();
       }
-    );
+    });
   }
+}
 
-  addToScene() {
-    this.scene.add(this.gltf.scene);
-    this.init(this.gltf);
-    this.normalizeAndCenter();
-    this.setVisiblePosition();
-    // Replace placeholder hologram with real dog once loaded.
-    if (this.placeholderMesh) {
-      this.scene.remove(this.placeholderMesh);
-      this.placeholderMesh = null;
-    }
-    logMsg("Avatar loaded.");
-  }
+// ---------------------------------------------------------------------------
+// Appearance (material presets for the avatar)
+// ---------------------------------------------------------------------------
 
-  init(gltf) {
-    gltf.scene.traverse((obj) => {
-      if (obj.isBone && !this.root) this.root = obj;
-      if (!obj.isMesh) return;
-      obj.frustumCulled = false;
-      if (obj.morphTargetDictionary && obj.morphTargetInfluences) {
-        this.morphTargetMeshes.push(obj);
-      }
-    });
+// Appearance is saved per model (keyed by the model source key).
+function loadAppearance(modelKey) {
+  const appearance = { ...APPEARANCE_DEFAULTS, ...loadSettings("appearance", {})[modelKey] };
+  if (!APPEARANCE_PRESETS.includes(appearance.preset)) appearance.preset = APPEARANCE_DEFAULTS.preset;
+  return appearance;
+}
+
+function saveAppearance(modelKey, appearance) {
+  const all = loadSettings("appearance", {});
+  all[modelKey] = appearance;
+  saveSettings("appearance", all);
+}
+
+// Extra face avatars keep their own tint so people can tell them apart.
+function applyAppearanceToAvatars(appearance) {
+  faceTracker.slots.forEach((slot, index) => {
+    if (!slot) return;
+    slot.avatar.setAppearance(
+      index === 0 ? appearance : { ...appearance, tint: faceAvatarVariant(index).tint }
+    );
+  });
+}
+
+function setupAppearanceUI() {
+  setupSettingsSection("appearance-option", "appearance-dropdown");
+  const presetSelect = document.getElementById("appearance-preset");
+  const tintInput = document.getElementById("appearance-tint");
+  const opacityInput = document.getElementById("appearance-opacity");
+  const opacityOutput = document.querySelector('output[for="appearance-opacity"]');
+  let appearance = loadAppearance(currentModelSource.key);
+
+  // Fill the controls from the current model's saved appearance.
+  const show = () => {
+    if (presetSelect) presetSelect.value = appearance.preset;
+    if (tintInput) tintInput.value = appearance.tint;
+    if (opacityInput) opacityInput.value = String(appearance.opacity);
+    if (opacityOutput) opacityOutput.textContent = String(appearance.opacity);
+  };
+  const update = (changes) => {
+    appearance = { ...appearance, ...changes };
+    saveAppearance(currentModelSource.key, appearance);
+    applyAppearanceToAvatars(appearance);
+  };
+  show();
+  applyAppearanceToAvatars(appearance);
+
+  presetSelect?.addEventListener("change", () => update({ preset: presetSelect.value }));
+  tintInput?.addEventListener("input", () => update({ tint: tintInput.value }));
+  opacityInput?.addEventListener("input", () => {
+    if (opacityOutput) opacityOutput.textContent = opacityInput.value;
+    update({ opacity: Number(opacityInput.value) });
+  });
+
+  modelChangeListeners.add(() => {
+    appearance = loadAppearance(currentModelSource.key);
+    show();
+    applyAppearanceToAvatars(appearance);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Accessories (extra GLBs attached to anchors on the avatar)
+// ---------------------------------------------------------------------------
+
+// The outfit every face avatar wears (Settings → Accessories).
+let outfitItems = [];
+
+function wearOutfit(items) {
+  outfitItems = items;
+  faceTracker.slots.forEach((slot) => slot?.avatar.accessories.setItems(items));
+}
+
+function anchorLabel(anchor) {
+  const [kind, name] = anchor.split(/:(.*)/);
+  return kind === "box" ? `Bounding box: ${name}` : `Node: ${name}`;
+}
+
+// Box anchors used to be saved as 'face:<name>'.
+function migrateOutfitItems(items) {
+  return items.map((item) => ({ ...item, anchor: item.anchor.replace(/^face:/, "box:") }));
+}
+
+// Stored accessory GLBs (IndexedDB), what is worn now, an editor for the
+// selected item, and named outfits. The worn items and the outfits are saved
+// in localStorage; they refer to stored accessories by key.
+function setupAccessoriesUI() {
+  setupSettingsSection("accessories-option", "accessories-dropdown");
+  const settings = loadSettings("outfits", OUTFITS_DEFAULTS);
+  settings.items = migrateOutfitItems(settings.items);
+  for (const [name, items] of Object.entries(settings.sets)) {
+    settings.sets[name] = migrateOutfitItems(items);
   }
+  const fileInput = document.getElementById("accessory-files");
+  const library = document.getElementById("accessory-library");
+  const worn = document.getElementById("accessory-worn");
+  const editor = document.getElementById("accessory-editor");
+  const anchorSelect = document.getElementById("accessory-anchor");
+  const outfitSelect = document.getElementById("outfit-list");
+  const outfitName = document.getElementById("outfit-name");
+  let selected = null;
 
-  // Normalize model size and center it so it always fits the camera view.
-  normalizeAndCenter() {
-    if (!this.gltf) return;
-    const s = this.gltf.scene;
-    const box = new THREE.Box3().setFromObject(s);
-    if (!box.isEmpty()) {
-      const size = new THREE.Vector3();
-      const center = new THREE.Vector3();
-      box.getSize(size);
-      box.getCenter(center);
-      const maxSize = Math.max(size.x, size.y, size.z) || 1;
-      const targetUnitSize = 1; // normalize model so its largest dimension is ~1
-      const scaleFactor = targetUnitSize / maxSize;
-      s.scale.multiplyScalar(scaleFactor);
-      s.position.sub(center); // move model so its center is at origin
+  const listButton = (text, handler) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "settings-button";
+    button.textContent = text;
+    onTap(button, handler);
+    return button;
+  };
 
-      logMsg(
-        `Avatar bbox size: ${size.x.toFixed(2)} x ${size.y.toFixed(2)} x ${size.z.toFixed(
-          2
-        )}, scaleFactor=${scaleFactor.toFixed(3)}`
-      );
+  const save = () => {
+    settings.items = outfitItems;
+    saveSettings("outfits", settings);
+  };
+
+  const fillAnchors = () => {
+    if (!anchorSelect) return;
+    const names = avatar.accessories.anchorNames();
+    if (selected && !names.includes(selected.anchor)) names.push(selected.anchor);
+    anchorSelect.replaceChildren(...names.map((name) => new Option(anchorLabel(name), name)));
+    if (selected) anchorSelect.value = selected.anchor;
+  };
+
+  // [input id, item field, index within it (offset and rotation are arrays)]
+  const fields = [
+    ["accessory-offset-x", "offset", 0],
+    ["accessory-offset-y", "offset", 1],
+    ["accessory-offset-z", "offset", 2],
+    ["accessory-rotate-x", "rotation", 0],
+    ["accessory-rotate-y", "rotation", 1],
+    ["accessory-rotate-z", "rotation", 2],
+    ["accessory-scale", "scale", null],
+  ];
+  const showEditor = () => {
+    if (editor) editor.hidden = !selected;
+    if (!selected) return;
+    fillAnchors();
+    for (const [id, key, index] of fields) {
+      const input = document.getElementById(id);
+      if (!input) continue;
+      input.value = String(index === null ? selected[key] : selected[key][index]);
+      const output = input.parentElement?.querySelector(`output[for="${id}"]`);
+      if (output) output.textContent = input.value;
     }
+  };
+  const edited = () => {
+    save();
+    faceTracker.slots.forEach((slot) => slot?.avatar.accessories.refresh(selected));
+  };
+  for (const [id, key, index] of fields) {
+    const input = document.getElementById(id);
+    input?.addEventListener("input", () => {
+      if (!selected) return;
+      const value = Number(input.value);
+      if (index === null) selected[key] = value;
+      else selected[key][index] = value;
+      const output = input.parentElement?.querySelector(`output[for="${id}"]`);
+      if (output) output.textContent = input.value;
+      edited();
+    });
   }
+  anchorSelect?.addEventListener("change", () => {
+    if (!selected) return;
+    selected.anchor = anchorSelect.value;
+    edited();
+    refreshWorn();
+  });
 
-  setVisiblePosition() {
-    if (this.placeholderMesh) {
-      this.placeholderMesh.position.set(0, 0, AVATAR_DEPTH);
-      this.placeholderMesh.scale.set(-1.5, 1.5, 1.5);
-      this.placeholderMesh.rotation.set(0, 0, 0);
-      this.placeholderMesh.matrixAutoUpdate = true;
-      return;
-    }
-    if (!this.gltf) return;
-    const s = this.gltf.scene;
-    s.position.set(0, 0, AVATAR_DEPTH);
-    s.scale.set(1.5, 1.5, 1.5);
-    s.rotation.set(0, Math.PI, 0);
-    s.matrixAutoUpdate = true;
-  }
-
-  showPlaceholder() {
-    if (this.placeholderMesh) return; // already created
-    const geo = new THREE.PlaneGeometry(1, 1);
-    const loader = new THREE.TextureLoader();
-    const texUrl = new URL("wireframe-face.png", window.location.href).href;
-
-    loader.load(
-      texUrl,
-      (tex) => {
-        tex.encoding = THREE.sRGBEncoding;
-        const mat = new THREE.MeshBasicMaterial({
-          map: tex,
-          transparent: true,
-          side: THREE.DoubleSide,
-          depthWrite: true,
+  const refreshWorn = () => {
+    if (!worn) return;
+    worn.replaceChildren(
+      ...outfitItems.map((item) => {
+        const row = document.createElement("li");
+        const name = document.createElement("span");
+        name.textContent = `${item.name} (${anchorLabel(item.anchor)})`;
+        const edit = listButton(item === selected ? "Done" : "Edit", () => {
+          selected = item === selected ? null : item;
+          showEditor();
+          refreshWorn();
         });
-        this.placeholderMesh = new THREE.Mesh(geo, mat);
-        this.placeholderMesh.frustumCulled = false;
-        this.scene.add(this.placeholderMesh);
-        this.setVisiblePosition();
-        logMsg("Wireframe hologram placeholder loaded.");
-      },
-      undefined,
-      () => {
-        // Fallback to simple ? canvas if texture is missing.
-        const canvas = document.createElement("canvas");
-        const size = 256;
-        canvas.width = size;
-        canvas.height = size;
-        const ctx = canvas.getContext("2d");
-        ctx.fillStyle = "#000";
-        ctx.fillRect(0, 0, size, size);
-        ctx.fillStyle = "#fff";
-        ctx.font = "bold 180px system-ui, sans-serif";
-        ctx.textAlign = "center";
-        ctx.textBaseline = "middle";
-        ctx.fillText("?", size / 2, size / 2);
-        const texFallback = new THREE.CanvasTexture(canvas);
-        texFallback.encoding = THREE.sRGBEncoding;
-        const mat = new THREE.MeshBasicMaterial({
-          map: texFallback,
-          transparent: true,
-          side: THREE.DoubleSide,
-          depthWrite: true,
+        const remove = listButton("Remove", () => {
+          if (item === selected) selected = null;
+          wearOutfit(outfitItems.filter((other) => other !== item));
+          save();
+          showEditor();
+          refreshWorn();
         });
-        this.placeholderMesh = new THREE.Mesh(geo, mat);
-        this.placeholderMesh.frustumCulled = false;
-        this.scene.add(this.placeholderMesh);
-        this.setVisiblePosition();
-        logMsg("Wireframe hologram missing, using ? placeholder.");
-      }
+        row.append(name, edit, remove);
+        return row;
+      })
     );
-  }
+  };
 
-  updateBlendshapes(blendshapes) {
-    if (this.placeholderMesh) return;
-    for (const mesh of this.morphTargetMeshes) {
-      if (!mesh.morphTargetDictionary || !mesh.morphTargetInfluences) continue;
-      for (const [name, value] of blendshapes) {
-        if (name in mesh.morphTargetDictionary) {
-          mesh.morphTargetInfluences[mesh.morphTargetDictionary[name]] = value;
-        }
+  const wear = (items) => {
+    selected = null;
+    wearOutfit(items);
+    save();
+    showEditor();
+    refreshWorn();
+  };
+
+  const addItem = (asset, name) => {
+    const item = {
+      ...structuredClone(ACCESSORY_DEFAULTS),
+      id: `${Date.now().toString(36)}-${outfitItems.length}`,
+      asset,
+      name,
+    };
+    wear([...outfitItems, item]);
+    selected = item;
+    showEditor();
+    refreshWorn();
+  };
+
+  const refreshLibrary = () => {
+    if (!library) return;
+    listAccessoryRecords()
+      .then((records) => {
+        library.replaceChildren(
+          ...records.map((record) => {
+            const row = document.createElement("li");
+            const name = document.createElement("span");
+            name.textContent = record.name;
+            const add = listButton("Wear", () => addItem(`db:${record.id}`, record.name));
+            const remove = listButton("Delete", () => {
+              const asset = `db:${record.id}`;
+              deleteAccessoryRecord(record.id)
+                .then(refreshLibrary)
+                .catch((e) => {
+                  logMsg(`Could not delete accessory: ${e.message || e}`, "model", "error");
+                });
+              accessoryAssets.delete(asset);
+              wear(outfitItems.filter((item) => item.asset !== asset));
+            });
+            row.append(name, add, remove);
+            return row;
+          })
+        );
+      })
+      .catch((e) => logMsg(`Saved accessories unavailable: ${e.message || e}`, "model", "warn"));
+  };
+
+  const refreshOutfits = () => {
+    if (!outfitSelect) return;
+    outfitSelect.replaceChildren(
+      new Option("Saved outfits…", ""),
+      ...Object.keys(settings.sets).map((name) => new Option(name, name))
+    );
+  };
+
+  if (fileInput) {
+    fileInput.addEventListener("change", () => {
+      const files = Array.from(fileInput.files || []);
+      fileInput.value = "";
+      const main = files.find((f) => MODEL_FILE_PATTERN.test(f.name));
+      if (!main) {
+        setStatus("Can't load accessory: no .glb or .gltf file among the files.");
+        return;
       }
-    }
+      const record = {
+        name: main.name.replace(MODEL_FILE_PATTERN, ""),
+        files: files.map((f) => ({ name: f.name, type: f.type, blob: f })),
+        addedAt: new Date().toISOString(),
+      };
+      saveAccessoryRecord(record)
+        .then((id) => {
+          refreshLibrary();
+          addItem(`db:${id}`, record.name);
+        })
+        .catch((e) => setStatus(`Could not store accessory: ${e.message || e}`));
+    });
   }
-
-  applyMatrix(matrix, options = {}) {
-    const scale = options.scale ?? AVATAR_SCALE;
-    const m = matrix.clone().scale(new THREE.Vector3(scale, scale, scale));
-    if (this.placeholderMesh) {
-      this.placeholderMesh.matrixAutoUpdate = false;
-      this.placeholderMesh.matrix.copy(m);
-      return;
-    }
-    if (!this.gltf) return;
-    this.gltf.scene.matrixAutoUpdate = false;
-    this.gltf.scene.matrix.copy(m);
+  outfitSelect?.addEventListener("change", () => {
+    const items = settings.sets[outfitSelect.value];
+    if (!items) return;
+    if (outfitName) outfitName.value = outfitSelect.value;
+    wear(structuredClone(items));
+    logMsg(`Outfit ${outfitSelect.value}: ${items.length} accessories.`, "model");
+  });
+  const saveOutfitBtn = document.getElementById("outfit-save");
+  if (saveOutfitBtn) {
+    onTap(saveOutfitBtn, () => {
+      const name = outfitName?.value.trim();
+      if (!name) return;
+      settings.sets[name] = structuredClone(outfitItems);
+      save();
+      refreshOutfits();
+      if (outfitSelect) outfitSelect.value = name;
+    });
+  }
+  const deleteOutfitBtn = document.getElementById("outfit-delete");
+  if (deleteOutfitBtn) {
+    onTap(deleteOutfitBtn, () => {
+      const name = outfitSelect?.value || outfitName?.value.trim();
+      if (!name || !settings.sets[name]) return;
+      delete settings.sets[name];
+      save();
+      refreshOutfits();
+    });
   }
+
+  avatar.accessories.onAnchors = fillAnchors;
+  wearOutfit(settings.items);
+  showEditor();
+  refreshWorn();
+  refreshLibrary();
+  refreshOutfits();
 }
 
 // ---------------------------------------------------------------------------
-// Face tracking
+// Smoothing (between MediaPipe and the avatar)
 // ---------------------------------------------------------------------------
 
-let faceLandmarker = null;
-let video = null;
-let scene = null;
-let avatar = null;
-let loggedFirstFace = false;
+// target: anything with configure(settings) — a TrackingFilter or the FaceTracker.
+function setupSmoothingUI(target) {
+  const settings = loadSettings("smoothing", SMOOTHING_DEFAULTS);
+  target.configure(settings);
+  setupSettingsSection("smoothing-option", "smoothing-dropdown");
+  const update = (key) => (value) => {
+    settings[key] = value;
+    target.configure(settings);
+    saveSettings("smoothing", settings);
+  };
+  bindRange("smoothing-pose", settings.poseStrength, update("poseStrength"));
+  bindRange("smoothing-blendshapes", settings.blendshapeCutoff, update("blendshapeCutoff"));
+}
 
-// Simple calibration state so we can tell the user what's happening.
-// 'idle' -> 'calibrating' -> 'success' or 'failed'
-let calibrationState = "idle";
-let calibrationStartedAt = 0;
-const CALIBRATION_TIMEOUT_MS = 7000;
-
-const BLENDSHAPE_GAIN = {
-  mouth: 2.2,
-  jaw: 2.2,
-  tongue: 2.5,
-  eye: 1.2,
-  brow: 1.2,
-  default: 1,
-};
+// ---------------------------------------------------------------------------
+// Calibration (neutral pose + guided expression ranges, saved per device)
+// ---------------------------------------------------------------------------
 
-function retarget(blendshapes) {
-  const categories = blendshapes[0].categories;
-  const map = new Map();
-  for (const c of categories) {
-    const name = c.categoryName;
-    let gain = BLENDSHAPE_GAIN.default;
-    if (/mouth|Mouth/.test(name)) gain = BLENDSHAPE_GAIN.mouth;
-    else if (/jaw|Jaw/.test(name)) gain = BLENDSHAPE_GAIN.jaw;
-    else if (/tongue|Tongue/.test(name)) gain = BLENDSHAPE_GAIN.tongue;
-    else if (/eye|Eye/.test(name)) gain = BLENDSHAPE_GAIN.eye;
-    else if (/brow|Brow/.test(name)) gain = BLENDSHAPE_GAIN.brow;
-    map.set(name, Math.min(1, c.score * gain));
+function setupCalibrationUI(calibrator) {
+  setupSettingsSection("calibration-option", "calibration-dropdown");
+  const info = document.getElementById("calibration-info");
+  const showInfo = () => {
+    if (!info) return;
+    info.textContent = calibrator.profile
+      ? `Saved ${new Date(calibrator.profile.createdAt).toLocaleString()}`
+      : "Not calibrated (default gains)";
+  };
+  showInfo();
+  calibrator.onChange = showInfo;
+  const start = document.getElementById("calibration-start");
+  if (start) {
+    onTap(start, () => {
+      if (!faceInference) {
+        setStatus("Face model not ready yet; try again in a moment.");
+        return;
+      }
+      if (!requireCameraSource("Calibration")) return;
+      calibrator.start();
+      const panel = document.getElementById("settings-panel");
+      if (panel) panel.hidden = true;
+    });
+  }
+  const reset = document.getElementById("calibration-reset");
+  if (reset) {
+    onTap(reset, () => {
+      calibrator.clear();
+    });
   }
-  return map;
 }
 
-function detectFaceLandmarks(time) {
-  if (!faceLandmarker || !video || !avatar) return;
-  const result = faceLandmarker.detectForVideo(video, time);
-  const matrices = result.facialTransformationMatrixes;
-  if (matrices && matrices.length > 0) {
-    const matrix = new THREE.Matrix4().fromArray(matrices[0].data);
-
-    // Approximate how \"big\" the user's head is from the face matrix.
-    // We measure the length of the first column (scale component) and
-    // use that to adapt the avatar scale so it feels like a hologram
-    // that matches the user's head size.
-    const e = matrix.elements;
-    const col0 = new THREE.Vector3(e[0], e[1], e[2]);
-    const headScaleRaw = col0.length() || 1;
-    // Base around 4, but clamp to a safe range so it never becomes a tiny speck
-    // or fills the whole screen. This should feel good on an iPhone 15 Pro.
-    let dynamicScale = 4 / headScaleRaw;
-    dynamicScale = Math.max(2.0, Math.min(6.0, dynamicScale));
-
-    avatar.applyMatrix(matrix, { scale: dynamicScale });
-
-    const blendshapes = result.faceBlendshapes;
-    if (blendshapes && blendshapes.length > 0) {
-      avatar.updateBlendshapes(retarget(blendshapes));
-      if (!loggedFirstFace) {
-        loggedFirstFace = true;
-        logMsg(
-          `Face tracking active: headScaleRaw=${headScaleRaw.toFixed(
-            3
-          )}, dynamicScale=${dynamicScale.toFixed(2)}, blendshapes=${
-            blendshapes[0].categories.length
-          }`
-        );
-        if (calibrationState === "calibrating") {
-          calibrationState = "success";
-          setStatus("Calibration complete. Ready — move your face", true);
+// ---------------------------------------------------------------------------
+// Derived expressions (categories MediaPipe doesn't output)
+// ---------------------------------------------------------------------------
+
+function setupExpressionsUI(target) {
+  const settings = loadSettings("expressions", EXPRESSIONS_DEFAULTS);
+  target.configureExpressions(settings);
+  setupSettingsSection("expressions-option", "expressions-dropdown");
+  const update = (key) => (value) => {
+    settings[key] = value;
+    saveSettings("expressions", settings);
+    target.configureExpressions(settings);
+  };
+  bindCheckbox("expressions-tongue", settings.tongue, update("tongue"));
+  bindCheckbox("expressions-nod-shake", settings.nodShake, update("nodShake"));
+  bindCheckbox("expressions-wink", settings.wink, update("wink"));
+  bindCheckbox("expressions-cheek-puff", settings.cheekPuff, update("cheekPuff"));
+}
+
+// ---------------------------------------------------------------------------
+// Recording and replay ("takes" in JSON lines)
+// ---------------------------------------------------------------------------
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function timestampForFilename() {
+  return new Date().toISOString().replace(/[:.]/g, "-");
+}
+
+// A take drives the avatars until it's stopped; then whatever drove them
+// before (camera or network) takes over again.
+let sourceBeforeTake = null;
+
+function startTakePlayback(take) {
+  if (!(trackingSource instanceof TakeSource)) sourceBeforeTake = trackingSource;
+  setTrackingSource(new TakeSource(take));
+}
+
+function stopTakePlayback() {
+  if (!(trackingSource instanceof TakeSource)) return;
+  setTrackingSource(sourceBeforeTake || cameraSource);
+  logMsg("Take playback stopped.", "tracking");
+}
+
+function setupRecordingUI() {
+  setupSettingsSection("recording-option", "recording-dropdown");
+  const recordBtn = document.getElementById("take-record");
+  const playInput = document.getElementById("take-file");
+  const stopPlayBtn = document.getElementById("take-stop-playback");
+  const exportBtn = document.getElementById("take-export-glb");
+  if (recordBtn) {
+    onTap(recordBtn, () => {
+      if (!takeRecorder.recording) {
+        if (!faceInference) {
+          setStatus("Face tracking is not running; nothing to record.");
+          return;
         }
+        if (!requireCameraSource("Recording a take")) return;
+        takeRecorder.start();
+        recordBtn.textContent = "Stop recording";
+        return;
       }
-    } else if (!loggedFirstFace) {
-      logMsg(
-        `Face tracking: matrix present (headScaleRaw=${headScaleRaw.toFixed(
-          3
-        )}) but no blendshape data.`
+      const text = takeRecorder.stop();
+      lastTake = parseTake(text);
+      recordBtn.textContent = "Record take";
+      downloadBlob(
+        new Blob([text], { type: "application/x-ndjson" }),
+        `watchdog-take-${timestampForFilename()}.jsonl`
       );
-    }
+    });
+  }
+  if (playInput) {
+    playInput.addEventListener("change", () => {
+      const file = playInput.files && playInput.files[0];
+      if (!file) return;
+      file
+        .text()
+        .then((text) => {
+          lastTake = parseTake(text);
+          startTakePlayback(lastTake);
+        })
+        .catch((e) => {
+          logMsg(`Take load failed (${file.name}): ${e.message || e}`, "tracking", "error");
+          setStatus("Could not play take. Tap gear → Logs to copy.");
+        })
+        .finally(() => {
+          playInput.value = "";
+        });
+    });
+  }
+  if (stopPlayBtn) onTap(stopPlayBtn, () => stopTakePlayback());
+  if (exportBtn) {
+    onTap(exportBtn, () => {
+      if (!lastTake) {
+        setStatus("Record or load a take first, then export it.");
+        return;
+      }
+      if (!avatar || !avatar.gltf) {
+        setStatus("Avatar model not loaded; cannot export GLB.");
+        return;
+      }
+      setStatus("Exporting GLB…");
+      exportTakeAsGlb(lastTake, avatar, {
+        calibration: calibrator,
+        smoothing: loadSettings("smoothing", SMOOTHING_DEFAULTS),
+      })
+        .then((glb) => {
+          downloadBlob(
+            new Blob([glb], { type: "model/gltf-binary" }),
+            `watchdog-performance-${timestampForFilename()}.glb`
+          );
+          setStatus("GLB exported.", true);
+        })
+        .catch((e) => {
+          logMsg(`GLB export failed: ${e.message || e}`, "model", "error");
+          setStatus("GLB export failed. Tap gear → Logs to copy.");
+        });
+    });
   }
 }
 
-function onVideoFrame(time) {
-  detectFaceLandmarks(time);
-  if (video && typeof video.requestVideoFrameCallback === "function") {
-    video.requestVideoFrameCallback(onVideoFrame);
+// ---------------------------------------------------------------------------
+// glTF export (bake a take into the avatar as an AnimationClip)
+// ---------------------------------------------------------------------------
+
+const EXPORT_ROOT_NAME = "WatchdogHead";
+
+// Run a take through the same calibration → pose scaling → smoothing →
+// retarget pipeline as live tracking and bake the result into a copy of the
+// avatar's model. Returns { root, clip }; root is what applyMatrix would move.
+function bakeTakeClip(take, targetAvatar, options = {}) {
+  if (!targetAvatar.gltf) throw new Error("avatar model is not loaded");
+  const calibration = options.calibration ?? null;
+  const filter = new TrackingFilter(options.smoothing ?? SMOOTHING_DEFAULTS);
+
+  const root = SkeletonUtils.clone(targetAvatar.gltf.scene);
+  // clone() keeps the traversal order, so pair meshes up to swap in
+  // materials glTF can represent.
+  const sourceMeshes = [];
+  targetAvatar.gltf.scene.traverse((obj) => obj.isMesh && sourceMeshes.push(obj));
+  let meshIndex = 0;
+  root.traverse((obj) => {
+    if (obj.isMesh) obj.material = targetAvatar.exportMaterial(sourceMeshes[meshIndex++]);
+  });
+  root.name = EXPORT_ROOT_NAME;
+  root.matrixAutoUpdate = true;
+  const morphMeshes = [];
+  const usedNames = new Set([EXPORT_ROOT_NAME]);
+  root.traverse((obj) => {
+    if (obj === root) return;
+    // Track bindings resolve by name, so every animated node needs a unique one.
+    let name = obj.name || (obj.isMesh ? "mesh" : "node");
+    for (let i = 1; usedNames.has(name); i++) name = `${obj.name || "node"}_${i}`;
+    obj.name = name;
+    usedNames.add(name);
+    if (obj.isMesh && obj.morphTargetDictionary && obj.morphTargetInfluences) morphMeshes.push(obj);
+  });
+
+  const times = [];
+  const positions = [];
+  const quaternions = [];
+  const scales = [];
+  const weightTimes = [];
+  const weights = morphMeshes.map(() => []);
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+  const previous = new THREE.Quaternion();
+  let hasPrevious = false;
+
+  for (const frame of take.frames) {
+    const result = takeFrameToResult(take, frame);
+    const seconds = frame.t / 1000;
+    if (result.facialTransformationMatrixes.length > 0) {
+      let matrix = new THREE.Matrix4().fromArray(result.facialTransformationMatrixes[0].data);
+      if (calibration) matrix = calibration.neutralize(matrix);
+      const smoothed = filter.filterPose(matrix, frame.t);
+      targetAvatar.poseMatrix(smoothed).decompose(position, quaternion, scale);
+      // Keep successive quaternions in the same hemisphere so interpolation
+      // never takes the long way round.
+      if (hasPrevious && previous.dot(quaternion) < 0) {
+        quaternion.set(-quaternion.x, -quaternion.y, -quaternion.z, -quaternion.w);
+      }
+      previous.copy(quaternion);
+      hasPrevious = true;
+      times.push(seconds);
+      positions.push(position.x, position.y, position.z);
+      quaternions.push(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+      scales.push(scale.x, scale.y, scale.z);
+    }
+    if (result.faceBlendshapes.length > 0) {
+      const values = filter.filterBlendshapes(
+        retarget(result.faceBlendshapes, calibration, targetAvatar.retargetProfile),
+        frame.t
+      );
+      weightTimes.push(seconds);
+      morphMeshes.forEach((mesh, i) => {
+        const row = new Array(mesh.morphTargetInfluences.length).fill(0);
+        for (const [name, index] of Object.entries(mesh.morphTargetDictionary)) {
+          if (values.has(name)) row[index] = values.get(name);
+        }
+        weights[i].push(...row);
+      });
+    }
+  }
+
+  const tracks = [];
+  if (times.length > 0) {
+    tracks.push(
+      new THREE.VectorKeyframeTrack(`${EXPORT_ROOT_NAME}.position`, times, positions),
+      new THREE.QuaternionKeyframeTrack(`${EXPORT_ROOT_NAME}.quaternion`, times, quaternions),
+      new THREE.VectorKeyframeTrack(`${EXPORT_ROOT_NAME}.scale`, times, scales)
+    );
+    root.position.fromArray(positions, 0);
+    root.quaternion.fromArray(quaternions, 0);
+    root.scale.fromArray(scales, 0);
+  }
+  if (weightTimes.length > 0) {
+    morphMeshes.forEach((mesh, i) => {
+      tracks.push(
+        new THREE.NumberKeyframeTrack(`${mesh.name}.morphTargetInfluences`, weightTimes, weights[i])
+      );
+    });
   }
+  if (tracks.length === 0) throw new Error("take has no face frames to bake");
+  const clip = new THREE.AnimationClip(options.clipName || "performance", -1, tracks);
+  return { root, clip };
+}
+
+async function exportTakeAsGlb(take, targetAvatar, options = {}) {
+  const { root, clip } = bakeTakeClip(take, targetAvatar, options);
+  const exporter = new GLTFExporter();
+  return exporter.parseAsync(root, { binary: true, animations: [clip] });
 }
 
 // ---------------------------------------------------------------------------
-// Camera stream
+// Video clips (MediaRecorder on a composited canvas)
 // ---------------------------------------------------------------------------
 
-async function streamWebcam() {
-  video = document.getElementById("video");
-  if (!video) {
-    setStatus("Error: no video element");
-    return Promise.reject(new Error("No video element"));
+// Draw source scaled to cover the destination rect, optionally mirrored
+// (the on-screen canvas is mirrored in CSS unless Camera → Mirror is off, and
+// clips follow it so they match what you see).
+function drawCover(ctx, source, sourceW, sourceH, dx, dy, dw, dh, mirror) {
+  if (!sourceW || !sourceH) return;
+  const scale = Math.max(dw / sourceW, dh / sourceH);
+  const sw = dw / scale;
+  const sh = dh / scale;
+  const sx = (sourceW - sw) / 2;
+  const sy = (sourceH - sh) / 2;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(dx, dy, dw, dh);
+  ctx.clip();
+  if (mirror) {
+    ctx.translate(dx + dw, dy);
+    ctx.scale(-1, 1);
+    ctx.drawImage(source, sx, sy, sw, sh, 0, 0, dw, dh);
+  } else {
+    ctx.drawImage(source, sx, sy, sw, sh, dx, dy, dw, dh);
   }
-  setStatus("Requesting camera… Allow when prompted.");
-  logMsg("Calling getUserMedia…");
-  return new Promise((resolve, reject) => {
-    navigator.mediaDevices
-      .getUserMedia({
-        audio: false,
-        video: { facingMode: "user", width: { ideal: 1280 }, height: { ideal: 720 } },
-      })
-      .then((stream) => {
-        video.srcObject = stream;
-        video.onloadedmetadata = () => {
-          video
-            .play()
-            .then(() => {
-              logMsg("Camera started.");
-              if (typeof video.requestVideoFrameCallback === "function") {
-                video.requestVideoFrameCallback(onVideoFrame);
-              } else {
-                logMsg("Using requestAnimationFrame fallback (Safari/iOS).");
-                function raf() {
-                  if (video.readyState >= 2) detectFaceLandmarks(performance.now());
-                  requestAnimationFrame(raf);
-                }
-                requestAnimationFrame(raf);
-              }
-              resolve();
-            })
-            .catch(reject);
-        };
-      })
-      .catch((e) => {
-        const msg = e.message || String(e);
-        logMsg(`Camera error: ${msg}`);
-        setStatus(`Camera error: ${msg}. Tap gear → Logs to copy.`);
-        reject(e);
+  ctx.restore();
+}
+
+class ClipRecorder {
+  constructor(basicScene) {
+    this.basicScene = basicScene;
+    this.mediaRecorder = null;
+    this.canvas = null;
+    this.onRender = () => this.drawFrame();
+  }
+
+  get recording() {
+    return this.mediaRecorder !== null;
+  }
+
+  start({ mode, background }) {
+    if (this.recording) return;
+    if (typeof MediaRecorder === "undefined") throw new Error("MediaRecorder is not supported here");
+    const mimeType = CLIP_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error("no supported WebM encoder");
+    const source = this.basicScene.renderer.domElement;
+    this.mode = mode;
+    this.background = background;
+    this.width = mode === "side-by-side" ? source.width * 2 : source.width;
+    this.height = source.height;
+    this.canvas = document.createElement("canvas");
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
+    this.ctx = this.canvas.getContext("2d");
+    this.drawFrame();
+
+    this.chunks = [];
+    this.mediaRecorder = new MediaRecorder(this.canvas.captureStream(CLIP_FPS), { mimeType });
+    this.mediaRecorder.ondataavailable = (ev) => {
+      if (ev.data && ev.data.size > 0) this.chunks.push(ev.data);
+    };
+    this.mediaRecorder.start(1000);
+    this.basicScene.renderListeners.add(this.onRender);
+    logMsg(`Clip recording started: ${mode}, ${this.width}x${this.height}, ${mimeType}.`, "render");
+  }
+
+  // Resolves with the WebM blob once the encoder has flushed.
+  stop() {
+    if (!this.recording) return Promise.resolve(null);
+    const mediaRecorder = this.mediaRecorder;
+    this.mediaRecorder = null;
+    this.basicScene.renderListeners.delete(this.onRender);
+    return new Promise((resolve) => {
+      mediaRecorder.onstop = () => {
+        const blob = new Blob(this.chunks, { type: mediaRecorder.mimeType || "video/webm" });
+        logMsg(`Clip recording stopped: ${(blob.size / 1e6).toFixed(1)} MB.`, "render");
+        this.chunks = [];
+        resolve(blob);
+      };
+      mediaRecorder.stop();
+    });
+  }
+
+  drawFrame() {
+    const ctx = this.ctx;
+    const avatarCanvas = this.basicScene.renderer.domElement;
+    const cameraReady = video && video.readyState >= 2;
+    const half = this.mode === "side-by-side" ? this.width / 2 : this.width;
+    const avatarX = this.mode === "side-by-side" ? half : 0;
+    const mirror = cameraStream.mirror;
+    ctx.clearRect(0, 0, this.width, this.height);
+
+    if (this.mode === "overlay" || this.mode === "side-by-side") {
+      if (cameraReady) {
+        drawCover(ctx, video, video.videoWidth, video.videoHeight, 0, 0, half, this.height, mirror);
+      } else {
+        ctx.fillStyle = "#000";
+        ctx.fillRect(0, 0, half, this.height);
+      }
+    }
+    if (this.mode !== "overlay" && this.background !== "transparent") {
+      ctx.fillStyle = this.background;
+      ctx.fillRect(avatarX, 0, half, this.height);
+    }
+    drawCover(ctx, avatarCanvas, avatarCanvas.width, avatarCanvas.height, avatarX, 0, half, this.height, mirror);
+  }
+}
+
+function setupClipUI(clipRecorder) {
+  const settings = loadSettings("clip", CLIP_DEFAULTS);
+  setupSettingsSection("clip-option", "clip-dropdown");
+  const update = (key) => (value) => {
+    settings[key] = value;
+    saveSettings("clip", settings);
+  };
+  bindSelect("clip-mode", settings.mode, update("mode"));
+  bindSelect("clip-background", settings.background, update("background"));
+  const button = document.getElementById("clip-record");
+  if (!button) return;
+  onTap(button, () => {
+    if (clipRecorder.recording) {
+      button.textContent = "Start clip";
+      clipRecorder.stop().then((blob) => {
+        if (blob) downloadBlob(blob, `watchdog-clip-${timestampForFilename()}.webm`);
       });
+      return;
+    }
+    try {
+      clipRecorder.start(settings);
+      button.textContent = "Stop clip";
+    } catch (e) {
+      logMsg(`Clip recording failed: ${e.message || e}`, "render", "error");
+      setStatus("Clip recording not available. Tap gear → Logs to copy.");
+    }
   });
 }
 
 // ---------------------------------------------------------------------------
-// Main
+// Procedural motion (idle, auto-blink, lost tracking, spring secondary motion)
 // ---------------------------------------------------------------------------
 
-async function runDemo() {
-  logMsg(`App started. Secure: ${window.isSecureContext}.`);
-  setStatus("Loading 3D watchdog…");
+function setupMotionUI(target) {
+  const settings = loadSettings("motion", MOTION_DEFAULTS);
+  target.configureMotion(settings);
+  setupSettingsSection("motion-option", "motion-dropdown");
+  const update = (key) => (value) => {
+    settings[key] = value;
+    saveSettings("motion", settings);
+    target.configureMotion(settings);
+  };
+  bindRange("motion-idle", settings.idle, update("idle"));
+  bindSelect("motion-blink", settings.autoBlink, update("autoBlink"));
+  bindRange("motion-neutral-after", settings.neutralAfter, update("neutralAfter"));
+  bindRange("motion-springs", settings.springs, update("springs"));
+}
 
-  // 1) Always create the 3D scene + dog immediately, before camera permissions.
-  try {
-    scene = new BasicScene();
-    avatar = new Avatar(getAvatarModelUrl(), scene.scene, { textureUrl: WATCHDOG_TEXTURE_URL });
-    logMsg("Scene created (watchdog should be visible even without camera).");
-  } catch (e) {
-    logMsg(`Scene error: ${e.message || e}`);
-    setStatus(`Scene error. Tap gear → Logs to copy.`);
-    return;
+// ---------------------------------------------------------------------------
+// Audio lip sync (microphone or audio file → mouth categories)
+// ---------------------------------------------------------------------------
+
+// Level (dBFS, before gain) that maps to a closed and a fully open mouth.
+const LIPSYNC_FLOOR_DB = -55;
+const LIPSYNC_CEILING_DB = -15;
+const LIPSYNC_ATTACK_MS = 30;
+const LIPSYNC_RELEASE_MS = 120;
+// Audio scores are kept in the range MediaPipe gives for the same shapes
+// (a wide-open jaw scores ~0.45), so retarget gains treat both alike.
+const LIPSYNC_SCALE = 0.45;
+// Frequency bands (Hz): low/mid energy separates rounded vowels (oo, oh) from
+// spread ones (ee, eh); high energy is mostly sibilants (s, sh, f).
+const LIPSYNC_BANDS = { low: [150, 900], mid: [900, 2500], high: [2500, 7000] };
+// Head angles (radians) over which visual mouth tracking stops being trusted.
+const LIPSYNC_TRUST_YAW = [0.35, 0.9];
+const LIPSYNC_TRUST_PITCH = [0.3, 0.7];
+// The categories audio drives; everything else stays visual-only.
+const LIPSYNC_CATEGORIES = [
+  "jawOpen",
+  "mouthFunnel",
+  "mouthPucker",
+  "mouthStretchLeft",
+  "mouthStretchRight",
+  "mouthLowerDownLeft",
+  "mouthLowerDownRight",
+  "mouthUpperUpLeft",
+  "mouthUpperUpRight",
+];
+
+// How much the camera's mouth scores can be trusted for a face matrix:
+// 1 facing the camera, falling to 0 as the head turns or tilts away.
+function visualMouthConfidence(matrix) {
+  const euler = headAngles(matrix);
+  const falloff = (angle, [start, end]) =>
+    1 - Math.max(0, Math.min(1, (Math.abs(angle) - start) / (end - start)));
+  return falloff(euler.y, LIPSYNC_TRUST_YAW) * falloff(euler.x, LIPSYNC_TRUST_PITCH);
+}
+
+// Analyses one audio input (microphone or file) into MediaPipe-named mouth
+// categories. update() runs once per rendered frame; categories holds the
+// latest result, or null while nothing is playing.
+class LipSync {
+  constructor() {
+    this.context = null;
+    this.analyser = null;
+    this.input = null; // { kind: 'mic' | 'file', node, stream?, element?, url? }
+    this.gain = LIPSYNC_DEFAULTS.gain;
+    this.envelope = 0;
+    this.categories = null;
+    this.lastTime = null;
+    this.onEnded = null;
+  }
+
+  get active() {
+    return this.input !== null;
+  }
+
+  configure(settings) {
+    this.gain = settings.gain;
   }
 
-  // 2) Then try to start the camera for tracking.
-  let cameraOk = true;
-  calibrationState = "calibrating";
-  calibrationStartedAt = performance.now();
-  setStatus("Calibrating hologram… line up your face.");
-  setTimeout(() => {
-    if (calibrationState === "calibrating") {
-      calibrationState = "failed";
-      setStatus("Calibration failed. Using default scale.");
-      logMsg("Calibration timeout reached without stable face data.");
+  ensureContext() {
+    if (!this.context) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) throw new Error("Web Audio is not supported in this browser");
+      this.context = new AudioContextClass();
+      this.analyser = this.context.createAnalyser();
+      this.analyser.fftSize = 1024;
+      this.analyser.smoothingTimeConstant = 0.5;
     }
-  }, CALIBRATION_TIMEOUT_MS);
-  try {
-    await streamWebcam();
-  } catch (e) {
-    cameraOk = false;
-    const msg = e?.message || String(e || "unknown");
-    logMsg(`Camera unavailable or denied: ${msg}`);
-    setStatus("No camera / permission denied. Watchdog will show but not track.");
+    // Browsers start contexts suspended until a user gesture.
+    if (this.context.state === "suspended") this.context.resume().catch(() => {});
+    return this.context;
   }
 
-  // 3) If no camera, we stop here (dog stays visible but static).
-  if (!cameraOk) return;
+  async startMicrophone() {
+    this.stop();
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: true, noiseSuppression: true },
+      video: false,
+    });
+    const node = this.ensureContext().createMediaStreamSource(stream);
+    node.connect(this.analyser);
+    this.input = { kind: "mic", node, stream };
+    logMsg("Lip sync: microphone on.", "audio");
+  }
 
-  // 4) If camera is OK, load MediaPipe for tracking.
-  setStatus("Loading face model…");
-  logMsg("Loading MediaPipe…");
-  try {
-    const vision = await FilesetResolver.forVisionTasks(
-      "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.1.0-alpha-16/wasm"
+  // Plays the file (audible) and lip-syncs to it; onEnded fires when it finishes.
+  async startFile(file) {
+    this.stop();
+    const context = this.ensureContext();
+    const url = URL.createObjectURL(file);
+    const element = new Audio(url);
+    const node = context.createMediaElementSource(element);
+    node.connect(this.analyser);
+    node.connect(context.destination);
+    const input = { kind: "file", node, element, url };
+    this.input = input;
+    element.addEventListener("ended", () => {
+      if (this.input !== input) return;
+      this.stop();
+      this.onEnded?.();
+    });
+    try {
+      await element.play();
+    } catch (e) {
+      this.stop();
+      throw e;
+    }
+    logMsg(`Lip sync: playing ${file.name}.`, "audio");
+  }
+
+  stop() {
+    const input = this.input;
+    if (!input) return;
+    this.input = null;
+    input.node.disconnect();
+    if (input.stream) for (const t of input.stream.getTracks()) t.stop();
+    if (input.element) input.element.pause();
+    if (input.url) URL.revokeObjectURL(input.url);
+    this.envelope = 0;
+    this.categories = null;
+    logMsg(`Lip sync: ${input.kind === "mic" ? "microphone" : "audio file"} off.`, "audio");
+  }
+
+  bandLevel(spectrum, [low, high]) {
+    const binHz = this.context.sampleRate / this.analyser.fftSize;
+    const from = Math.max(1, Math.floor(low / binHz));
+    const to = Math.min(spectrum.length - 1, Math.ceil(high / binHz));
+    let sum = 0;
+    for (let i = from; i <= to; i++) sum += spectrum[i];
+    return sum / ((to - from + 1) * 255);
+  }
+
+  update(now) {
+    const dt = this.lastTime === null ? 0 : now - this.lastTime;
+    this.lastTime = now;
+    if (!this.input) return;
+
+    const samples = new Float32Array(this.analyser.fftSize);
+    this.analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (const v of samples) sum += v * v;
+    const db = 20 * Math.log10(Math.sqrt(sum / samples.length) * this.gain || 1e-6);
+    const level = Math.max(
+      0,
+      Math.min(1, (db - LIPSYNC_FLOOR_DB) / (LIPSYNC_CEILING_DB - LIPSYNC_FLOOR_DB))
+    );
+    const time = level > this.envelope ? LIPSYNC_ATTACK_MS : LIPSYNC_RELEASE_MS;
+    this.envelope += (level - this.envelope) * (dt > 0 ? Math.min(1, dt / time) : 1);
+
+    const spectrum = new Uint8Array(this.analyser.frequencyBinCount);
+    this.analyser.getByteFrequencyData(spectrum);
+    const low = this.bandLevel(spectrum, LIPSYNC_BANDS.low);
+    const mid = this.bandLevel(spectrum, LIPSYNC_BANDS.mid);
+    const high = this.bandLevel(spectrum, LIPSYNC_BANDS.high);
+    const total = low + mid + high || 1;
+    const rounded = smoothstep((low / total - 0.45) / 0.3);
+    const spread = smoothstep((mid / total - 0.3) / 0.3);
+    const hiss = smoothstep((high / total - 0.25) / 0.3);
+
+    const open = this.envelope;
+    const scores = {
+      jawOpen: open * (1 - 0.6 * hiss),
+      mouthFunnel: open * rounded,
+      mouthPucker: open * rounded * 0.6,
+      mouthStretchLeft: open * spread * 0.7,
+      mouthStretchRight: open * spread * 0.7,
+      mouthLowerDownLeft: open * 0.5,
+      mouthLowerDownRight: open * 0.5,
+      mouthUpperUpLeft: open * hiss * 0.6,
+      mouthUpperUpRight: open * hiss * 0.6,
+    };
+    this.categories = LIPSYNC_CATEGORIES.map((categoryName) => ({
+      index: -1,
+      score: scores[categoryName] * LIPSYNC_SCALE,
+      categoryName,
+      displayName: "",
+    }));
+  }
+
+  // Mix audio into a face's blendshapes ([{ categories }]): audio-driven
+  // categories get confidence × visual + (1 − confidence) × audio.
+  blend(blendshapes, confidence) {
+    if (!this.categories || confidence >= 1) return blendshapes;
+    const audio = new Map(this.categories.map((c) => [c.categoryName, c.score]));
+    const categories = blendshapes[0].categories.map((c) =>
+      audio.has(c.categoryName)
+        ? { ...c, score: c.score * confidence + audio.get(c.categoryName) * (1 - confidence) }
+        : c
     );
-    const modelPath =
-      "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/latest/face_landmarker.task";
+    return [{ categories }];
+  }
+}
+
+function setupLipSyncUI(lipSync) {
+  const settings = loadSettings("lipsync", LIPSYNC_DEFAULTS);
+  lipSync.configure(settings);
+  setupSettingsSection("lipsync-option", "lipsync-dropdown");
+  const sourceSelect = document.getElementById("lipsync-source");
+  const fileInput = document.getElementById("lipsync-file");
+  const info = document.getElementById("lipsync-info");
+  const show = (text) => {
+    if (info) info.textContent = text;
+  };
+
+  const applySource = (source) => {
+    if (sourceSelect) sourceSelect.value = source;
+    if (source !== "mic") {
+      lipSync.stop();
+      show("Off.");
+      return;
+    }
+    show("Starting microphone…");
+    lipSync
+      .startMicrophone()
+      .then(() => show("Listening to the microphone."))
+      .catch((e) => {
+        logMsg(`Lip sync microphone error: ${e.message || e}`, "audio", "error");
+        show(`Microphone not available: ${e.message || e}`);
+      });
+  };
+  lipSync.onEnded = () => applySource(settings.source);
+
+  bindSelect("lipsync-source", settings.source, (value) => {
+    settings.source = value;
+    saveSettings("lipsync", settings);
+    applySource(value);
+  });
+  bindRange("lipsync-gain", settings.gain, (value) => {
+    settings.gain = value;
+    saveSettings("lipsync", settings);
+    lipSync.configure(settings);
+  });
+  fileInput?.addEventListener("change", () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = "";
+    if (!file) return;
+    if (sourceSelect) sourceSelect.value = "file";
+    lipSync
+      .startFile(file)
+      .then(() => show(`Playing ${file.name}.`))
+      .catch((e) => {
+        logMsg(`Lip sync audio file error: ${e.message || e}`, "audio", "error");
+        show(`Could not play ${file.name}: ${e.message || e}`);
+        applySource(settings.source);
+      });
+  });
+  const stopBtn = document.getElementById("lipsync-stop");
+  if (stopBtn) {
+    onTap(stopBtn, () => {
+      if (lipSync.input?.kind === "file") applySource(settings.source);
+    });
+  }
+
+  // The microphone needs a user gesture for audio to flow after a reload.
+  document.addEventListener("pointerdown", () => lipSync.context?.resume().catch(() => {}), {
+    once: true,
+  });
+  applySource(settings.source);
+}
+
+// ---------------------------------------------------------------------------
+// Multi-face tracking (one avatar per detected face)
+// ---------------------------------------------------------------------------
+
+function faceAvatarVariant(index) {
+  return FACE_AVATAR_VARIANTS[index % FACE_AVATAR_VARIANTS.length];
+}
+
+// Variants without their own url follow the model picked in Settings → Model.
+function createFaceAvatar(index) {
+  const variant = faceAvatarVariant(index);
+  const source = variant.url
+    ? { url: variant.url, textureUrl: variant.textureUrl ?? WATCHDOG_TEXTURE_URL }
+    : currentModelSource;
+  return new Avatar(source.url, scene.scene, {
+    textureUrl: source.textureUrl,
+    urlModifier: source.urlModifier,
+    retargetProfileUrl: source.retargetProfileUrl,
+    appearance: {
+      ...loadAppearance(currentModelSource.key),
+      ...(index === 0 ? {} : { tint: variant.tint }),
+    },
+    visible: index === 0,
+    accessories: outfitItems,
+  });
+}
+
+function setupFacesUI(tracker) {
+  const settings = loadSettings("faces", FACES_DEFAULTS);
+  // ?faces=N (e.g. from an OBS browser source) wins over the saved choice.
+  const fromUrl = Number(new URLSearchParams(window.location.search).get("faces"));
+  tracker.setMaxFaces(fromUrl > 0 ? fromUrl : settings.maxFaces);
+  setupSettingsSection("faces-option", "faces-dropdown");
+  bindSelect("faces-count", String(tracker.maxFaces), (value) => {
+    settings.maxFaces = Number(value);
+    saveSettings("faces", settings);
+    tracker.setMaxFaces(settings.maxFaces);
+    if (faceInference) faceInference.setNumFaces(tracker.maxFaces);
+    logMsg(`Tracking up to ${tracker.maxFaces} face(s).`, "tracking");
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Upper body (pose + hand landmarkers → rigged body under the head)
+// ---------------------------------------------------------------------------
+
+// Run the body landmarkers on every Nth camera frame (they are the expensive part),
+// more sparsely when they don't fit the main thread's inference budget.
+const BODY_DETECT_EVERY = 2;
+const BODY_MAX_SKIP = 8;
+// Low-pass cutoff (Hz) for body and hand landmarks.
+const BODY_SMOOTHING_HZ = 6;
+// Without pose (or hand) landmarks for this long the arms (or fingers) go back to rest.
+const BODY_LOST_MS = 800;
+// Body size relative to the head: shoulder width = head height × this.
+const BODY_SHOULDERS_PER_HEAD = 1.8;
+// PoseLandmarker indices, per side of the user's body.
+const POSE_SIDES = {
+  left: { ear: 7, shoulder: 11, elbow: 13, wrist: 15, pinky: 17, index: 19 },
+  right: { ear: 8, shoulder: 12, elbow: 14, wrist: 16, pinky: 18, index: 20 },
+};
+// HandLandmarker indices of each finger's joints, base to tip.
+const HAND_FINGERS = {
+  Thumb: [1, 2, 3, 4],
+  Index: [5, 6, 7, 8],
+  Middle: [9, 10, 11, 12],
+  Ring: [13, 14, 15, 16],
+  Pinky: [17, 18, 19, 20],
+};
+// Bones the body needs to look right; the report lists any that are missing.
+const BODY_REQUIRED_BONES = [
+  "neck",
+  "leftShoulder",
+  "leftUpperArm",
+  "leftLowerArm",
+  "leftHand",
+  "rightShoulder",
+  "rightUpperArm",
+  "rightLowerArm",
+  "rightHand",
+];
+
+// Map a rig's bone name to a canonical key ("neck", "leftUpperArm",
+// "rightIndex2", …). Understands Mixamo (mixamorig:LeftForeArm), VRM
+// (leftLowerArm, leftIndexProximal) and Rigify-style (forearm.L) names.
+function bodyBoneKey(name) {
+  let n = name.replace(/^mixamorig\d*[:_]?/i, "");
+  let side = "";
+  if (/left/i.test(n) || /[._\s-]l$/i.test(n)) side = "left";
+  else if (/right/i.test(n) || /[._\s-]r$/i.test(n)) side = "right";
+  n = n
+    .replace(/left|right/gi, "")
+    .replace(/[._\s-][lr]$/i, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+  if (!side) return { neck: "neck", head: "head" }[n] || null;
+  const part = {
+    shoulder: "Shoulder",
+    clavicle: "Shoulder",
+    arm: "UpperArm",
+    upperarm: "UpperArm",
+    forearm: "LowerArm",
+    lowerarm: "LowerArm",
+    hand: "Hand",
+  }[n];
+  if (part) return side + part;
+  const finger = n.match(
+    /^(?:hand|f)?(thumb|index|middle|ring|pinky|little)(?:0?([123])|(metacarpal|proximal|intermediate|distal))$/
+  );
+  if (!finger) return null;
+  const [, f, number, segment] = finger;
+  const fingerName = f === "little" ? "Pinky" : f[0].toUpperCase() + f.slice(1);
+  const segments =
+    f === "thumb"
+      ? { metacarpal: 1, proximal: 2, distal: 3 }
+      : { proximal: 1, intermediate: 2, distal: 3 };
+  const index = number ? Number(number) : segments[segment];
+  return index ? `${side}${fingerName}${index}` : null;
+}
+
+// The bone each canonical bone points at in the rest pose.
+function bodyBoneChildKey(key) {
+  if (key === "neck") return "head";
+  const match = key.match(/^(left|right)(\w+?)(\d)?$/);
+  if (!match) return null;
+  const [, side, part, n] = match;
+  if (n) return n === "3" ? null : `${side}${part}${Number(n) + 1}`;
+  return {
+    Shoulder: `${side}UpperArm`,
+    UpperArm: `${side}LowerArm`,
+    LowerArm: `${side}Hand`,
+    Hand: `${side}Middle1`,
+  }[part];
+}
+
+// A T-posed stick figure (cm, facing +z) with Mixamo bone names, used when
+// no body GLB is set.
+function createStickBody(tint) {
+  const root = new THREE.Group();
+  root.name = "StickBody";
+  const material = new THREE.MeshStandardMaterial({
+    color: new THREE.Color(tint),
+    transparent: true,
+    opacity: 0.85,
+  });
+  const bone = (name, parent, x, y, z) => {
+    const b = new THREE.Bone();
+    b.name = name;
+    b.position.set(x, y, z);
+    parent.add(b);
+    if (parent.isBone) {
+      // A limb from the parent joint to this one.
+      const length = b.position.length();
+      const limb = new THREE.Mesh(new THREE.CylinderGeometry(0.9, 0.9, length, 8), material);
+      limb.position.copy(b.position).multiplyScalar(0.5);
+      limb.quaternion.setFromUnitVectors(
+        new THREE.Vector3(0, 1, 0),
+        b.position.clone().normalize()
+      );
+      parent.add(limb);
+    }
+    return b;
+  };
+  const spine = bone("Spine", root, 0, 0, 0);
+  const neck = bone("Neck", spine, 0, 20, 0);
+  bone("Head", neck, 0, 8, 0);
+  for (const [side, sign] of [
+    ["Left", 1],
+    ["Right", -1],
+  ]) {
+    const shoulder = bone(`${side}Shoulder`, spine, 3 * sign, 18, 0);
+    const arm = bone(`${side}Arm`, shoulder, 15 * sign, 0, 0);
+    const foreArm = bone(`${side}ForeArm`, arm, 27 * sign, 0, 0);
+    const hand = bone(`${side}Hand`, foreArm, 25 * sign, 0, 0);
+    const fingerBases = {
+      Thumb: [2, -1, 3],
+      Index: [8, 0, 2.4],
+      Middle: [8.5, 0, 0.8],
+      Ring: [8, 0, -0.8],
+      Pinky: [7, 0, -2.4],
+    };
+    for (const [finger, [x, y, z]] of Object.entries(fingerBases)) {
+      const direction = finger === "Thumb" ? [0.7, 0, 0.7] : [1, 0, 0];
+      let parent = bone(`${side}Hand${finger}1`, hand, x * sign, y, z);
+      for (const [n, length] of [
+        [2, 3],
+        [3, 2.5],
+        [4, 2],
+      ]) {
+        const [dx, , dz] = direction;
+        parent = bone(`${side}Hand${finger}${n}`, parent, dx * length * sign, 0, dz * length);
+      }
+    }
+  }
+  return root;
+}
+
+// Drives a rigged upper body from pose and hand landmarks, and keeps it
+// under the head avatar: the head's root bone (Avatar.init's this.root, or
+// the bottom of the head if it has none) sits on the body's neck. Each
+// driven bone is aimed from its joint towards the next landmark; twist
+// along the bone is left as in the rest pose.
+class BodyAvatar {
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.tint = options.tint || APPEARANCE_DEFAULTS.tint;
+    this.enabled = false;
+    this.url = null;
+    this.root = null;
+    this.bones = new Map(); // canonical key -> { bone, rest, dirLocal }
+    this.restShoulderWidth = 1;
+    this.points = new Map(); // "pose:11", "leftHand:8" -> smoothed Vector3
+    this.lastPoseAt = null;
+    this.lastHandAt = { left: null, right: null };
+    this.lastLandmarksAt = null;
+    this.loader = new GLTFLoader();
+    // Called with a report ({ label, driven, missing }) after each rig loads.
+    this.onLoad = null;
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (enabled && !this.root) this.load(this.url);
+    if (this.root) this.root.visible = enabled;
+  }
+
+  // url: rigged upper-body GLB, or null for the built-in stick rig.
+  load(url) {
+    this.url = url;
+    if (!url) {
+      this.useRig(createStickBody(this.tint), "built-in stick rig");
+      return;
+    }
+    logMsg(`Loading body model: ${url}`, "model");
+    this.loader.load(
+      url,
+      (gltf) => this.useRig(gltf.scene, url),
+      undefined,
+      (err) => {
+        logMsg(
+          `Body model failed (${err?.message || err}), using the built-in rig.`,
+          "model",
+          "error"
+        );
+        this.useRig(createStickBody(this.tint), "built-in stick rig");
+      }
+    );
+  }
+
+  useRig(root, label) {
+    if (this.root) this.scene.remove(this.root);
+    this.root = root;
+    this.bones = new Map();
+    root.traverse((obj) => {
+      if (!obj.isBone) return;
+      const key = bodyBoneKey(obj.name);
+      if (key && !this.bones.has(key)) this.bones.set(key, { bone: obj });
+    });
+    root.traverse((obj) => {
+      if (obj.isMesh) obj.frustumCulled = false;
+    });
+
+    // Rest directions, measured with the rig at the origin and unscaled.
+    root.position.set(0, 0, 0);
+    root.quaternion.identity();
+    root.scale.setScalar(1);
+    root.updateMatrixWorld(true);
+    const worldPosition = (obj) => obj.getWorldPosition(new THREE.Vector3());
+    for (const [key, entry] of this.bones) {
+      const { bone } = entry;
+      entry.rest = bone.quaternion.clone();
+      const child =
+        this.bones.get(bodyBoneChildKey(key))?.bone || bone.children.find((c) => c.isBone);
+      const direction = child
+        ? worldPosition(child).sub(worldPosition(bone))
+        : worldPosition(bone).sub(worldPosition(bone.parent));
+      const inverse = bone.getWorldQuaternion(new THREE.Quaternion()).invert();
+      entry.dirLocal = direction.normalize().applyQuaternion(inverse);
+    }
+    const left = this.bones.get("leftUpperArm");
+    const right = this.bones.get("rightUpperArm");
+    this.restShoulderWidth =
+      left && right ? worldPosition(left.bone).distanceTo(worldPosition(right.bone)) : 1;
+
+    root.visible = this.enabled;
+    this.scene.add(root);
+    const driven = [...this.bones.keys()];
+    const missing = BODY_REQUIRED_BONES.filter((k) => !this.bones.has(k));
+    logMsg(
+      `Body rig (${label}): ${driven.length} bones driven` +
+        (missing.length ? `, missing ${missing.join(", ")}` : ""),
+      "model"
+    );
+    this.onLoad?.({ label, driven, missing });
+  }
+
+  smoothPoint(key, landmark, alpha) {
+    // MediaPipe world landmarks: x right, y down, z away from the camera.
+    const value = new THREE.Vector3(landmark.x, -landmark.y, -landmark.z);
+    const current = this.points.get(key);
+    if (current) current.lerp(value, alpha);
+    else this.points.set(key, value);
+  }
+
+  // pose: PoseLandmarkerResult; hands: HandLandmarkerResult or null.
+  setLandmarks(pose, hands, time) {
+    const dt = this.lastLandmarksAt === null ? 0 : (time - this.lastLandmarksAt) / 1000;
+    this.lastLandmarksAt = time;
+    const alpha = dt > 0 && dt < SMOOTHING_RESET_AFTER_S ? lowPassAlpha(BODY_SMOOTHING_HZ, dt) : 1;
+    const world = pose.worldLandmarks && pose.worldLandmarks[0];
+    const image = pose.landmarks && pose.landmarks[0];
+    if (world) {
+      world.forEach((l, i) => this.smoothPoint(`pose:${i}`, l, alpha));
+      this.lastPoseAt = time;
+    }
+    if (!hands) return;
+    (hands.worldLandmarks || []).forEach((handWorld, h) => {
+      const wrist = hands.landmarks[h] && hands.landmarks[h][0];
+      let side;
+      if (image && wrist) {
+        // Whichever pose wrist the hand is closer to in the image.
+        const distance = (i) => Math.hypot(image[i].x - wrist.x, image[i].y - wrist.y);
+        const toLeft = distance(POSE_SIDES.left.wrist);
+        side = toLeft <= distance(POSE_SIDES.right.wrist) ? "left" : "right";
+      } else {
+        // Handedness assumes a mirrored image; the camera frame isn't.
+        const label = hands.handednesses?.[h]?.[0]?.categoryName;
+        side = label === "Left" ? "right" : "left";
+      }
+      handWorld.forEach((l, i) => this.smoothPoint(`${side}Hand:${i}`, l, alpha));
+      this.lastHandAt[side] = time;
+    });
+  }
+
+  // [boneKey, from, to] in scene space, parents before children. The
+  // avatar's left follows the user's right when mirror is on.
+  aims(now, mirror) {
+    const fresh = (time) => time !== null && now - time < BODY_LOST_MS;
+    const point = (key) => {
+      const p = this.points.get(key);
+      if (!p) return null;
+      return mirror ? new THREE.Vector3(-p.x, p.y, p.z) : p.clone();
+    };
+    const mid = (a, b) => (a && b ? a.clone().add(b).multiplyScalar(0.5) : null);
+    const poseFresh = fresh(this.lastPoseAt);
+    const pose = (i) => (poseFresh ? point(`pose:${i}`) : null);
+    const shoulders = mid(pose(POSE_SIDES.left.shoulder), pose(POSE_SIDES.right.shoulder));
+    const list = [["neck", shoulders, mid(pose(POSE_SIDES.left.ear), pose(POSE_SIDES.right.ear))]];
+    for (const side of ["left", "right"]) {
+      const user = mirror ? (side === "left" ? "right" : "left") : side;
+      const idx = POSE_SIDES[user];
+      list.push([`${side}Shoulder`, shoulders, pose(idx.shoulder)]);
+      list.push([`${side}UpperArm`, pose(idx.shoulder), pose(idx.elbow)]);
+      list.push([`${side}LowerArm`, pose(idx.elbow), pose(idx.wrist)]);
+      const handFresh = fresh(this.lastHandAt[user]);
+      const hand = (i) => (handFresh ? point(`${user}Hand:${i}`) : null);
+      if (handFresh) list.push([`${side}Hand`, hand(0), hand(9)]);
+      else list.push([`${side}Hand`, pose(idx.wrist), mid(pose(idx.index), pose(idx.pinky))]);
+      for (const [finger, joints] of Object.entries(HAND_FINGERS)) {
+        for (let j = 0; j < 3; j++) {
+          list.push([`${side}${finger}${j + 1}`, hand(joints[j]), hand(joints[j + 1])]);
+        }
+      }
+    }
+    return list;
+  }
+
+  // Rotate a bone (in world space) so its rest direction points along target.
+  aim(entry, target) {
+    const { bone } = entry;
+    const world = bone.getWorldQuaternion(new THREE.Quaternion());
+    const current = entry.dirLocal.clone().applyQuaternion(world);
+    const delta = new THREE.Quaternion().setFromUnitVectors(current, target.normalize());
+    const parentWorld = bone.parent.getWorldQuaternion(new THREE.Quaternion());
+    bone.quaternion.copy(parentWorld.invert().multiply(delta.multiply(world)));
+    bone.updateMatrixWorld(true);
+  }
+
+  // Called every rendered frame, after the head avatar has been placed.
+  update(now, headAvatar) {
+    if (!this.enabled || !this.root) return;
+    const head = headAvatar.gltf ? headAvatar.gltf.scene : headAvatar.placeholderMesh;
+    if (!head) return;
+    head.updateMatrixWorld(true);
+    const box = new THREE.Box3().setFromObject(head);
+    if (box.isEmpty()) return;
+    const size = box.getSize(new THREE.Vector3());
+    const anchor =
+      headAvatar.gltf && headAvatar.root
+        ? headAvatar.root.getWorldPosition(new THREE.Vector3())
+        : new THREE.Vector3((box.min.x + box.max.x) / 2, box.min.y, (box.min.z + box.max.z) / 2);
+
+    const mirror = headAvatar.headPose.mirror;
+    const aims = this.aims(now, mirror);
+    // Turn the body with the shoulder line; the rest pose faces the camera.
+    let yaw = 0;
+    const [, , leftShoulder] = aims.find(([key]) => key === "leftShoulder");
+    const [, , rightShoulder] = aims.find(([key]) => key === "rightShoulder");
+    if (leftShoulder && rightShoulder) {
+      const across = leftShoulder.clone().sub(rightShoulder);
+      yaw = Math.atan2(-across.z, across.x);
+    }
+    this.root.position.set(0, 0, 0);
+    this.root.quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), yaw);
+    this.root.scale.setScalar((size.y * BODY_SHOULDERS_PER_HEAD) / this.restShoulderWidth);
+    for (const entry of this.bones.values()) entry.bone.quaternion.copy(entry.rest);
+    this.root.updateMatrixWorld(true);
+
+    for (const [key, from, to] of aims) {
+      const entry = this.bones.get(key);
+      if (!entry || !from || !to) continue;
+      const target = to.clone().sub(from);
+      if (target.lengthSq() > 1e-10) this.aim(entry, target);
+    }
+
+    // Put the top of the neck where the head is.
+    const top = this.bones.get("head") || this.bones.get("neck");
+    const neckTop = top ? top.bone.getWorldPosition(new THREE.Vector3()) : new THREE.Vector3();
+    this.root.position.copy(anchor.sub(neckTop));
+    this.root.updateMatrixWorld(true);
+  }
+}
+
+// GPU first, CPU if that fails, like the face landmarker.
+async function createVisionTask(TaskClass, assetKey, options, label) {
+  const model = await fetchAsset(assetKey);
+  for (const delegate of ["GPU", "CPU"]) {
+    try {
+      const task = await TaskClass.createFromModelBuffer(visionFileset, model);
+      await task.setOptions({ baseOptions: { delegate }, runningMode: "VIDEO", ...options });
+      logMsg(`${label} ready (${delegate}).`, "mediapipe");
+      return task;
+    } catch (e) {
+      if (delegate === "CPU") throw e;
+      logMsg(`${label}: GPU failed, trying CPU.`, "mediapipe", "warn");
+    }
+  }
+  return null;
+}
+
+let bodyTrackingStart = null;
+
+// Loads the pose and hand landmarkers once MediaPipe is up; safe to call repeatedly.
+function startBodyTracking() {
+  if (!visionFileset) return Promise.resolve(); // runDemo calls again when ready
+  if (!bodyTrackingStart) {
+    bodyTrackingStart = (async () => {
+      poseLandmarker = await createVisionTask(
+        PoseLandmarker,
+        "poseModel",
+        { numPoses: 1 },
+        "PoseLandmarker"
+      );
+      handLandmarker = await createVisionTask(
+        HandLandmarker,
+        "handModel",
+        { numHands: 2 },
+        "HandLandmarker"
+      );
+    })().catch((e) => {
+      bodyTrackingStart = null;
+      logMsg(`Body tracking error: ${e.message || e}`, "mediapipe", "error");
+      setStatus(
+        e.asset
+          ? `${e.message}. Tap gear → Logs to copy.`
+          : "Body tracking not available. Tap gear → Logs to copy."
+      );
+    });
+  }
+  return bodyTrackingStart;
+}
+
+let bodyFrame = 0;
+let bodyEvery = BODY_DETECT_EVERY;
+let bodyInferenceMs = 0;
+
+// Called for every camera frame while the camera is the tracking source. The
+// body landmarkers always run on the main thread, so like face inference there
+// they get INFERENCE_MAIN_THREAD_SHARE of the camera frame interval (less what
+// main-thread face inference takes) and skip frames when they need more.
+function detectBodyLandmarks(time) {
+  if (!bodyAvatar || !bodyAvatar.enabled || !poseLandmarker) return;
+  if (++bodyFrame < bodyEvery) return;
+  bodyFrame = 0;
+  const start = performance.now();
+  const pose = poseLandmarker.detectForVideo(video, time);
+  const hands = handLandmarker ? handLandmarker.detectForVideo(video, time) : null;
+  bodyInferenceMs = performanceMonitor.average(bodyInferenceMs, performance.now() - start);
+  const interval = performanceMonitor.cameraInterval;
+  if (interval > 0) {
+    const faceMs = faceInference && !faceInference.worker ? performanceMonitor.inferenceMs : 0;
+    const budget = interval * INFERENCE_MAIN_THREAD_SHARE - faceMs;
+    const every = budget > 0 ? Math.ceil(bodyInferenceMs / budget) : BODY_MAX_SKIP;
+    bodyEvery = Math.max(BODY_DETECT_EVERY, Math.min(BODY_MAX_SKIP, every));
+  }
+  bodyAvatar.setLandmarks(pose, hands, time);
+}
+
+function setupBodyUI(body) {
+  const settings = loadSettings("body", BODY_DEFAULTS);
+  // ?body=1 turns the mode on; ?body=<url> also picks the model.
+  const fromUrl = new URLSearchParams(window.location.search).get("body");
+  if (fromUrl && fromUrl !== "0" && fromUrl !== "false") {
+    settings.enabled = true;
+    if (fromUrl !== "1" && fromUrl !== "true") settings.url = fromUrl;
+  }
+  setupSettingsSection("body-option", "body-dropdown");
+  const info = document.getElementById("body-info");
+  body.onLoad = (report) => {
+    if (!info) return;
+    info.textContent =
+      `${report.label}: ${report.driven.length} bones driven.` +
+      (report.missing.length ? ` Missing: ${report.missing.join(", ")}.` : "");
+  };
+  body.url = settings.url;
+  body.setEnabled(settings.enabled);
+  if (settings.enabled) startBodyTracking();
+
+  bindCheckbox("body-enabled", settings.enabled, (enabled) => {
+    settings.enabled = enabled;
+    saveSettings("body", settings);
+    body.setEnabled(enabled);
+    if (enabled) startBodyTracking();
+    logMsg(`Upper body mode ${enabled ? "on" : "off"}.`, "tracking");
+  });
+  const fileInput = document.getElementById("body-files");
+  fileInput?.addEventListener("change", () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = "";
+    if (!file) return;
+    // Files are for this session only; the saved setting keeps the last URL.
+    body.load(URL.createObjectURL(file));
+  });
+  const defaultBtn = document.getElementById("body-default");
+  if (defaultBtn) {
+    onTap(defaultBtn, () => {
+      settings.url = null;
+      saveSettings("body", settings);
+      body.load(null);
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Model manager (user files, ?model= URLs, saved models in IndexedDB)
+// ---------------------------------------------------------------------------
+
+// Model to start with: ?model= wins, then the last model picked on this device.
+async function getStartupModelSource() {
+  const fromUrl = getUrlModelSource();
+  if (fromUrl) return fromUrl;
+  const { key } = loadSettings("model", { key: "default" });
+  if (key.startsWith("db:")) {
+    try {
+      const record = await getModelRecord(Number(key.slice(3)));
+      if (record) return modelSourceFromFiles(record.files, key);
+    } catch (e) {
+      logMsg(`Saved model unavailable: ${e.message || e}`, "model", "warn");
+    }
+  }
+  return defaultModelSource();
+}
+
+function setAvatarModel(source) {
+  const previous = currentModelSource;
+  currentModelSource = source;
+  if (!source.key.startsWith("url:")) saveSettings("model", { key: source.key });
+  faceTracker.slots.forEach((slot, index) => {
+    if (!slot || faceAvatarVariant(index).url) return;
+    slot.avatar.loadModel(source.url, {
+      textureUrl: source.textureUrl,
+      urlModifier: source.urlModifier,
+      retargetProfileUrl: source.retargetProfileUrl,
+    });
+  });
+  if (previous && previous !== source) previous.revoke?.();
+  for (const listener of modelChangeListeners) listener(source);
+}
+
+function formatBlendshapeReport(label, report) {
+  const total = MEDIAPIPE_BLENDSHAPES.length;
+  return [
+    `Model: ${label}`,
+    `Morph targets: ${report.morphTargets.length}`,
+    `Supported (${report.supported.length}/${total}): ${report.supported.join(", ") || "none"}`,
+    `Missing (${report.missing.length}/${total}): ${report.missing.join(", ") || "none"}`,
+    `Derived expressions driven: ${report.derived.join(", ") || "none"}`,
+  ].join("\n");
+}
+
+function setupModelUI() {
+  setupSettingsSection("model-option", "model-dropdown");
+  const fileInput = document.getElementById("model-files");
+  const defaultBtn = document.getElementById("model-default");
+  const list = document.getElementById("model-list");
+  const reportEl = document.getElementById("model-report");
+
+  avatar.onLoad = (loaded) => {
+    const text = formatBlendshapeReport(currentModelSource.label, loaded.blendshapeReport());
+    logMsg(text, "model");
+    if (reportEl) reportEl.textContent = text;
+  };
+
+  const refreshList = () => {
+    if (!list) return;
+    listModelRecords()
+      .then((records) => {
+        list.replaceChildren(
+          ...records.map((record) => {
+            const item = document.createElement("li");
+            const name = document.createElement("span");
+            name.textContent = record.name;
+            const use = document.createElement("button");
+            use.type = "button";
+            use.className = "settings-button";
+            use.textContent = "Use";
+            onTap(use, () => setAvatarModel(modelSourceFromFiles(record.files, `db:${record.id}`)));
+            const remove = document.createElement("button");
+            remove.type = "button";
+            remove.className = "settings-button";
+            remove.textContent = "Delete";
+            onTap(remove, () => {
+              deleteModelRecord(record.id).then(refreshList);
+              if (currentModelSource.key === `db:${record.id}`) setAvatarModel(defaultModelSource());
+            });
+            item.append(name, use, remove);
+            return item;
+          })
+        );
+      })
+      .catch((e) => logMsg(`Saved models unavailable: ${e.message || e}`, "model", "warn"));
+  };
+
+  const importFiles = (files) => {
+    if (files.length === 0) return;
+    const record = {
+      name: (files.find((f) => MODEL_FILE_PATTERN.test(f.name)) || files[0]).name,
+      files: files.map((f) => ({ name: f.name, type: f.type, blob: f })),
+      addedAt: new Date().toISOString(),
+    };
+    try {
+      modelSourceFromFiles(record.files, "check").revoke();
+    } catch (e) {
+      setStatus(`Can't load model: ${e.message}.`);
+      return;
+    }
+    saveModelRecord(record)
+      .then((id) => `db:${id}`)
+      .catch((e) => {
+        logMsg(`Could not save model for next time: ${e.message || e}`, "model", "warn");
+        return `file:${record.name}`;
+      })
+      .then((key) => {
+        setAvatarModel(modelSourceFromFiles(record.files, key));
+        refreshList();
+      });
+  };
+
+  if (fileInput) {
+    fileInput.addEventListener("change", () => {
+      importFiles(Array.from(fileInput.files || []));
+      fileInput.value = "";
+    });
+  }
+  if (defaultBtn) onTap(defaultBtn, () => setAvatarModel(defaultModelSource()));
+  document.addEventListener("dragover", (ev) => ev.preventDefault());
+  document.addEventListener("drop", (ev) => {
+    ev.preventDefault();
+    importFiles(Array.from(ev.dataTransfer?.files || []));
+  });
+  refreshList();
+}
+
+// ---------------------------------------------------------------------------
+// Tracking output (WebSocket: JSON or VMC/OSC)
+// ---------------------------------------------------------------------------
+
+const OUTPUT_SCHEMA_VERSION = 1;
+const OUTPUT_RECONNECT_MS = [1000, 10000]; // first retry, then doubling up to the max
+// Frames are dropped rather than queued while the socket is this far behind.
+const OUTPUT_MAX_BUFFERED = 256 * 1024;
+
+// OSC 1.0 encoding, just what VMC needs: int32 ("i"), float32 ("f") and
+// string ("s") arguments, messages and one level of bundle.
+function oscString(value) {
+  const bytes = new TextEncoder().encode(value);
+  const out = new Uint8Array((bytes.length + 4) & ~3); // null-terminated, 4-byte aligned
+  out.set(bytes);
+  return out;
+}
+
+function encodeOscMessage(address, args = []) {
+  const parts = [oscString(address), oscString(`,${args.map(([type]) => type).join("")}`)];
+  for (const [type, value] of args) {
+    if (type === "s") {
+      parts.push(oscString(value));
+      continue;
+    }
+    const bytes = new Uint8Array(4);
+    const view = new DataView(bytes.buffer);
+    if (type === "i") view.setInt32(0, value);
+    else view.setFloat32(0, value);
+    parts.push(bytes);
+  }
+  return concatBytes(parts);
+}
+
+// Timetag 1 means "immediately".
+function encodeOscBundle(messages) {
+  const parts = [oscString("#bundle"), new Uint8Array([0, 0, 0, 0, 0, 0, 0, 1])];
+  for (const message of messages) {
+    const size = new Uint8Array(4);
+    new DataView(size.buffer).setInt32(0, message.length);
+    parts.push(size, message);
+  }
+  return concatBytes(parts);
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+// One face as published: the head pose after Settings → Head pose, in camera
+// space (cm, right-handed, +y up; the camera looks down -z, so a face half a
+// meter away has z ≈ -50), and its blendshape scores.
+function outputFace(slotIndex, track, headPose, values) {
+  const { position, quaternion } = decomposePose(mapHeadPose(track.pose.matrix, headPose));
+  // mapHeadPose drops the scale; it's published from the face matrix itself.
+  const scale = new THREE.Vector3().setFromMatrixScale(track.pose.matrix);
+  const euler = new THREE.Euler().setFromQuaternion(quaternion, "YXZ");
+  const degrees = (radians) => Number(THREE.MathUtils.radToDeg(radians).toFixed(2));
+  const round = (value) => Number(value.toFixed(4));
+  const blendshapes = {};
+  if (values === "raw") {
+    for (const c of track.outputBlendshapes?.raw || []) {
+      if (c.categoryName !== "_neutral") blendshapes[c.categoryName] = round(c.score);
+    }
+  } else {
+    for (const [name, value] of track.outputBlendshapes?.retargeted || []) {
+      blendshapes[name] = round(value);
+    }
+  }
+  return {
+    id: track.id,
+    slot: slotIndex,
+    position: position.toArray().map(round),
+    rotation: quaternion.toArray().map(round),
+    scale: round(scale.x),
+    euler: { yaw: degrees(euler.y), pitch: degrees(euler.x), roll: degrees(euler.z) },
+    blendshapes,
+  };
+}
+
+// VMC (Virtual Motion Capture protocol, as spoken by VSeeFace and friends)
+// for the first face: root position and head rotation in Unity's
+// left-handed meters (z flipped), then each blendshape and Apply.
+function vmcPacket(face, time) {
+  const [x, y, z] = face.position.map((cm) => cm / 100);
+  const [qx, qy, qz, qw] = face.rotation;
+  const messages = [
+    encodeOscMessage("/VMC/Ext/OK", [["i", 1]]),
+    encodeOscMessage("/VMC/Ext/T", [["f", time / 1000]]),
+    encodeOscMessage("/VMC/Ext/Root/Pos", [
+      ["s", "root"],
+      ...[x, y, -z, 0, 0, 0, 1].map((v) => ["f", v]),
+    ]),
+    encodeOscMessage("/VMC/Ext/Bone/Pos", [
+      ["s", "Head"],
+      ...[0, 0, 0, -qx, -qy, qz, qw].map((v) => ["f", v]),
+    ]),
+  ];
+  for (const [name, value] of Object.entries(face.blendshapes)) {
+    messages.push(encodeOscMessage("/VMC/Ext/Blend/Val", [["s", name], ["f", value]]));
+  }
+  messages.push(encodeOscMessage("/VMC/Ext/Blend/Apply"));
+  return encodeOscBundle(messages);
+}
+
+// Publishes every tracking frame (live or a replayed take) to a WebSocket,
+// reconnecting with backoff while enabled. Frames are never queued: if the
+// receiver falls behind they're dropped.
+class TrackingOutput {
+  constructor() {
+    this.settings = { ...OUTPUT_DEFAULTS };
+    this.socket = null;
+    this.retryMs = OUTPUT_RECONNECT_MS[0];
+    this.retryTimer = null;
+    this.sent = 0;
+    this.dropped = 0;
+    this.onStatus = null;
+    this.status = "Off.";
+  }
+
+  configure(settings) {
+    const { url, enabled } = this.settings;
+    const reconnect = settings.url !== url || settings.enabled !== enabled;
+    this.settings = { ...settings };
+    if (reconnect) {
+      this.disconnect();
+      if (settings.enabled) this.connect();
+    }
+    if (!settings.enabled) this.setStatus("Off.");
+  }
+
+  setStatus(status) {
+    this.status = status;
+    if (this.onStatus) this.onStatus(status);
+  }
+
+  connect() {
+    let socket;
+    try {
+      socket = new WebSocket(this.settings.url);
+    } catch (e) {
+      this.setStatus(`Invalid URL: ${e.message || e}`);
+      return;
+    }
+    socket.binaryType = "arraybuffer";
+    this.socket = socket;
+    this.setStatus(`Connecting to ${this.settings.url}…`);
+    socket.onopen = () => {
+      this.retryMs = OUTPUT_RECONNECT_MS[0];
+      logMsg(`Output connected: ${this.settings.url} (${this.settings.format}).`, "network");
+      this.setStatus(`Connected to ${this.settings.url}.`);
+      if (this.settings.format === "json") {
+        socket.send(
+          JSON.stringify({
+            type: "watchdog-hello",
+            version: OUTPUT_SCHEMA_VERSION,
+            values: this.settings.values,
+          })
+        );
+      }
+    };
+    socket.onclose = () => {
+      if (this.socket !== socket) return; // replaced or turned off
+      this.socket = null;
+      const seconds = Math.round(this.retryMs / 1000);
+      this.setStatus(`Not connected to ${this.settings.url}; retrying in ${seconds} s.`);
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        if (this.settings.enabled) this.connect();
+      }, this.retryMs);
+      this.retryMs = Math.min(this.retryMs * 2, OUTPUT_RECONNECT_MS[1]);
+    };
+  }
+
+  disconnect() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) socket.close();
+  }
+
+  // entries: [{ slotIndex, track }] for the faces seen this frame.
+  publish(entries, time, headPose) {
+    const socket = this.socket;
+    if (!socket || socket.readyState !== WebSocket.OPEN) return;
+    if (socket.bufferedAmount > OUTPUT_MAX_BUFFERED) {
+      this.dropped++;
+      return;
+    }
+    const faces = entries
+      .filter(({ track }) => track.pose)
+      .map(({ slotIndex, track }) => outputFace(slotIndex, track, headPose, this.settings.values));
+    if (this.settings.format === "vmc") {
+      if (faces.length === 0) return;
+      socket.send(vmcPacket(faces[0], time));
+    } else {
+      socket.send(
+        JSON.stringify({
+          type: "watchdog-frame",
+          version: OUTPUT_SCHEMA_VERSION,
+          t: Math.round(time * 10) / 10,
+          values: this.settings.values,
+          faces,
+        })
+      );
+    }
+    this.sent++;
+  }
+}
+
+function setupOutputUI(output) {
+  const settings = loadSettings("output", OUTPUT_DEFAULTS);
+  // ?output=ws://… turns output on for this visit without saving.
+  const fromUrl = new URLSearchParams(window.location.search).get("output");
+  const effective = fromUrl ? { ...settings, enabled: true, url: fromUrl } : { ...settings };
+  setupSettingsSection("output-option", "output-dropdown");
+  const info = document.getElementById("output-info");
+  output.onStatus = (status) => {
+    if (info) info.textContent = status;
+  };
+  output.configure(effective);
+  const update = (key) => (value) => {
+    settings[key] = value;
+    effective[key] = value;
+    saveSettings("output", settings);
+    output.configure(effective);
+  };
+  bindCheckbox("output-enabled", effective.enabled, update("enabled"));
+  bindSelect("output-format", effective.format, update("format"));
+  bindSelect("output-values", effective.values, update("values"));
+  const urlInput = document.getElementById("output-url");
+  if (urlInput) {
+    urlInput.value = effective.url;
+    urlInput.addEventListener("change", () => update("url")(urlInput.value.trim()));
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Face inference (worker or main thread) and performance stats
+// ---------------------------------------------------------------------------
+
+// On the main thread, inference may use this share of each camera frame
+// interval; when it's slower, frames are skipped instead of stalling rendering.
+const INFERENCE_MAIN_THREAD_SHARE = 0.5;
+const INFERENCE_MAX_SKIP = 4; // always process at least every 4th camera frame
+const STATS_EMA = 0.1; // weight of each new sample in the running averages
+const STATS_REFRESH_MS = 250;
+
+function faceLandmarkerOptions(numFaces) {
+  return {
+    runningMode: "VIDEO",
+    numFaces,
+    outputFaceBlendshapes: true,
+    outputFacialTransformationMatrixes: true,
+  };
+}
+
+// Running averages for the stats overlay (Settings → Performance).
+class PerformanceMonitor {
+  constructor() {
+    this.settings = { ...PERFORMANCE_DEFAULTS };
+    this.overlay = null;
+    this.source = "not running";
+    this.inferenceMs = 0;
+    this.renderInterval = 0;
+    this.cameraInterval = 0;
+    this.lastRender = 0;
+    this.lastCamera = 0;
+    this.lastRefresh = 0;
+    this.frames = 0;
+    this.dropped = 0;
+  }
+
+  configure(settings) {
+    this.settings = settings;
+    this.overlay = document.getElementById("stats");
+    if (this.overlay) this.overlay.hidden = !settings.stats;
+  }
+
+  average(previous, sample) {
+    return previous ? previous + (sample - previous) * STATS_EMA : sample;
+  }
+
+  inference(ms) {
+    this.inferenceMs = this.average(this.inferenceMs, ms);
+  }
+
+  // processed = false: the frame was skipped (inference busy or behind).
+  cameraFrame(now, processed) {
+    if (this.lastCamera) {
+      this.cameraInterval = this.average(this.cameraInterval, now - this.lastCamera);
+    }
+    this.lastCamera = now;
+    this.frames++;
+    if (!processed) this.dropped++;
+  }
+
+  renderFrame(now) {
+    if (this.lastRender) {
+      this.renderInterval = this.average(this.renderInterval, now - this.lastRender);
+    }
+    this.lastRender = now;
+    if (!this.settings.stats || !this.overlay || now - this.lastRefresh < STATS_REFRESH_MS) return;
+    this.lastRefresh = now;
+    this.overlay.textContent = this.describe();
+  }
+
+  describe() {
+    const fps = (interval) => (interval ? (1000 / interval).toFixed(0) : "–");
+    const share = this.frames ? ((100 * this.dropped) / this.frames).toFixed(0) : 0;
+    return [
+      `Face: ${this.source}`,
+      `Inference ${this.inferenceMs.toFixed(1)} ms`,
+      `Render ${fps(this.renderInterval)} fps · camera ${fps(this.cameraInterval)} fps`,
+      `Dropped ${this.dropped} / ${this.frames} (${share}%)`,
+    ].join("\n");
+  }
+
+  // The same numbers, unrounded, for the diagnostics bundle.
+  snapshot() {
+    return {
+      source: this.source,
+      inferenceMs: this.inferenceMs,
+      renderIntervalMs: this.renderInterval,
+      cameraIntervalMs: this.cameraInterval,
+      frames: this.frames,
+      dropped: this.dropped,
+    };
+  }
+}
+
+// Runs the Face Landmarker in face-worker.js where possible, else on the main
+// thread. detect() is called for every camera frame and skips frames while a
+// worker is still busy or, on the main thread, when inference falls behind;
+// results arrive through onResult(result, time, frame), asynchronously in the
+// worker case. frame is what the landmarks were detected on, for the tongue
+// detector: the video itself on the main thread, a copy taken before the
+// transfer in the worker case (the video has moved on by the time the result
+// comes back), closed once onResult returns. The copy is only taken when
+// detect() is asked to keep the frame; otherwise frame is null there.
+class FaceInference {
+  constructor(monitor, onResult) {
+    this.monitor = monitor;
+    this.onResult = onResult;
+    this.worker = null;
+    this.landmarker = null;
+    this.delegate = null;
+    this.busy = false;
+    this.every = 1; // process one camera frame in this many
+    this.sinceLast = 0;
+    this.loggedError = false;
+    this.pendingFrame = null; // the copy of the frame the worker is working on
+  }
+
+  static workerSupported() {
+    return typeof Worker === "function" && typeof createImageBitmap === "function";
+  }
+
+  describe() {
+    return `${this.worker ? "worker" : "main thread"}, ${this.delegate}`;
+  }
+
+  async start(useWorker, numFaces) {
+    const model = await fetchAsset("faceModel");
+    const options = faceLandmarkerOptions(numFaces);
+    if (useWorker && FaceInference.workerSupported()) {
+      try {
+        await this.startWorker(model, options);
+        return;
+      } catch (e) {
+        // e.g. Safari: MediaPipe's WebGL setup needs a document there.
+        logMsg(
+          `Face worker unavailable (${e.message || e}), using the main thread.`,
+          "mediapipe",
+          "warn"
+        );
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+      }
+    }
+    await this.startMainThread(model, options);
+  }
+
+  startWorker(model, options) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL("./face-worker.js", import.meta.url));
+      this.worker = worker;
+      worker.onerror = (ev) => {
+        ev.preventDefault();
+        reject(new Error(ev.message || "face-worker.js failed to load"));
+      };
+      worker.onmessage = ({ data }) => {
+        if (data.type === "log") {
+          logMsg(data.message, "mediapipe", "warn");
+        } else if (data.type === "ready") {
+          this.delegate = data.delegate;
+          worker.onmessage = ({ data }) => this.onWorkerMessage(data);
+          worker.onerror = (ev) => {
+            ev.preventDefault();
+            this.busy = false;
+            this.releaseFrame();
+            this.logError(ev.message);
+          };
+          resolve();
+        } else if (data.type === "error") {
+          reject(new Error(data.message));
+        }
+      };
+      // The model is copied, not transferred: the main thread may still need it.
+      worker.postMessage({
+        type: "init",
+        bundleUrl: assetUrl("bundle"),
+        wasmUrl: assetUrl("wasm"),
+        model,
+        options,
+      });
+    });
+  }
+
+  async startMainThread(model, options) {
     for (const delegate of ["GPU", "CPU"]) {
       try {
-        faceLandmarker = await FaceLandmarker.createFromModelPath(vision, modelPath);
-        await faceLandmarker.setOptions({
-          baseOptions: { delegate },
-          runningMode: "VIDEO",
-          outputFaceBlendshapes: true,
-          outputFacialTransformationMatrixes: true,
-        });
-        logMsg(`FaceLandmarker ready (${delegate}).`);
-        break;
+        this.landmarker = await FaceLandmarker.createFromModelBuffer(visionFileset, model);
+        await this.landmarker.setOptions({ ...options, baseOptions: { delegate } });
+        this.delegate = delegate;
+        return;
       } catch (e) {
         if (delegate === "CPU") throw e;
-        logMsg(`GPU failed, trying CPU.`);
+        logMsg(`GPU failed, trying CPU.`, "mediapipe", "warn");
+      }
+    }
+  }
+
+  onWorkerMessage(data) {
+    if (data.type === "result") {
+      this.busy = false;
+      this.monitor.inference(data.ms);
+      try {
+        this.onResult(data.result, data.time, this.pendingFrame);
+      } finally {
+        this.releaseFrame();
+      }
+    } else if (data.type === "error") {
+      this.busy = false;
+      this.releaseFrame();
+      this.logError(data.message);
+    } else if (data.type === "log") {
+      logMsg(data.message, "mediapipe", "warn");
+    }
+  }
+
+  releaseFrame() {
+    this.pendingFrame?.close();
+    this.pendingFrame = null;
+  }
+
+  // A failing frame tends to fail every frame; log it once, not 30 times a second.
+  logError(message) {
+    if (this.loggedError) return;
+    this.loggedError = true;
+    logMsg(`Face detection error: ${message}`, "mediapipe", "error");
+  }
+
+  setNumFaces(numFaces) {
+    const options = { numFaces };
+    if (this.worker) {
+      this.worker.postMessage({ type: "options", options });
+    } else if (this.landmarker) {
+      this.landmarker.setOptions(options).catch((e) => this.logError(e.message || e));
+    }
+  }
+
+  // Returns false when the frame is skipped. keepFrame: onResult needs the
+  // frame (the tongue detector is on).
+  detect(source, time, keepFrame) {
+    if (this.busy || ++this.sinceLast < this.every) return false;
+    this.sinceLast = 0;
+    if (this.worker) {
+      this.busy = true;
+      const copies = [createImageBitmap(source)];
+      if (keepFrame) copies.push(createImageBitmap(source));
+      Promise.all(copies).then(
+        ([frame, kept = null]) => {
+          this.releaseFrame();
+          this.pendingFrame = kept;
+          this.worker.postMessage({ type: "detect", frame, time }, [frame]);
+        },
+        (e) => {
+          this.busy = false;
+          this.logError(e.message || e);
+        }
+      );
+      return true;
+    }
+    const start = performance.now();
+    const result = this.landmarker.detectForVideo(source, time);
+    this.monitor.inference(performance.now() - start);
+    const budget = this.monitor.cameraInterval * INFERENCE_MAIN_THREAD_SHARE;
+    if (budget > 0) {
+      const every = Math.ceil(this.monitor.inferenceMs / budget);
+      this.every = Math.max(1, Math.min(INFERENCE_MAX_SKIP, every));
+    }
+    this.onResult(result, time, source);
+    return true;
+  }
+}
+
+function setupPerformanceUI(monitor) {
+  const settings = loadSettings("performance", PERFORMANCE_DEFAULTS);
+  // URL flags apply to this visit only and aren't saved.
+  const params = new URLSearchParams(window.location.search);
+  const effective = { ...settings };
+  if (params.get("worker") === "0") effective.worker = false;
+  if (params.get("stats") === "1") effective.stats = true;
+  monitor.configure(effective);
+  setupSettingsSection("performance-option", "performance-dropdown");
+  const update = (key) => (value) => {
+    settings[key] = value;
+    effective[key] = value;
+    saveSettings("performance", settings);
+    monitor.configure(effective);
+  };
+  bindCheckbox("performance-worker", effective.worker, update("worker"));
+  bindCheckbox("performance-stats", effective.stats, update("stats"));
+}
+
+// ---------------------------------------------------------------------------
+// Tracking sources (camera, recorded take, network)
+// ---------------------------------------------------------------------------
+
+// A network source plays this far behind the sender to ride out jitter.
+const NETWORK_JITTER_BUFFER_MS = 100;
+// No frames for this long and the remote face counts as lost.
+const NETWORK_LOST_MS = 500;
+// Frames used to estimate the sender's clock offset (the fastest one wins).
+const NETWORK_CLOCK_WINDOW = 120;
+// applyTrackingResult options for received frames: the remote performer
+// isn't the person calibrated here, and the sender already ran the
+// expression detectors and its own Settings → Head pose (outputFace).
+const NETWORK_RESULT_OPTIONS = {
+  calibration: null,
+  expressions: false,
+  headPose: HEAD_POSE_DEFAULTS,
+};
+
+// A tracking source drives the avatars with Face Landmarker–shaped results
+// through applyTrackingResult. Sources share one shape:
+//   start()     begin producing results (may return a promise)
+//   stop()      stop producing results
+//   describe()  one line for Settings → Source and the Logs
+// Only the active one (setTrackingSource) reaches the avatars.
+
+class CameraSource {
+  start() {
+    return startCameraTracking();
+  }
+
+  // The camera stream keeps running underneath other sources, so switching
+  // back is instant; face inference pauses meanwhile (detectFaceLandmarks), so
+  // calibration and take recording need the camera as the source.
+  stop() {}
+
+  describe() {
+    return faceInference ? `camera (${faceInference.describe()})` : "camera";
+  }
+}
+
+class TakeSource {
+  constructor(take) {
+    this.take = take;
+    this.player = new TakePlayer(take);
+    this.rafId = 0;
+  }
+
+  start() {
+    const startedAt = performance.now();
+    let lastFrame = null;
+    const tick = (now) => {
+      const elapsed = now - startedAt;
+      if (this.player.isFinished(elapsed)) {
+        stopTakePlayback();
+        return;
+      }
+      const frame = this.player.frameAt(elapsed);
+      if (frame && frame !== lastFrame) {
+        lastFrame = frame;
+        applyTrackingResult(takeFrameToResult(this.take, frame), now);
+      }
+      this.rafId = requestAnimationFrame(tick);
+    };
+    this.rafId = requestAnimationFrame(tick);
+  }
+
+  stop() {
+    cancelAnimationFrame(this.rafId);
+  }
+
+  describe() {
+    const seconds = (this.player.duration / 1000).toFixed(1);
+    return `take (${this.take.frames.length} frames, ${seconds}s)`;
+  }
+}
+
+// Interpolate two received frames (faces matched by id) into the result
+// shape applyTrackingResult takes. Retargeted values come through as
+// morphTargets and skip retargeting: they already name morph targets. Raw
+// values already carry the sender's derived expressions (headNod, …), so
+// they are applied with NETWORK_RESULT_OPTIONS.
+function networkFramesToResult(a, b, alpha) {
+  const result = { facialTransformationMatrixes: [], faceBlendshapes: [], morphTargets: [] };
+  for (const faceA of a.faces) {
+    const faceB = b.faces.find((face) => face.id === faceA.id) || faceA;
+    const position = new THREE.Vector3()
+      .fromArray(faceA.position)
+      .lerp(new THREE.Vector3().fromArray(faceB.position), alpha);
+    const quaternion = new THREE.Quaternion()
+      .fromArray(faceA.rotation)
+      .slerp(new THREE.Quaternion().fromArray(faceB.rotation), alpha);
+    const scale = THREE.MathUtils.lerp(faceA.scale ?? 1, faceB.scale ?? 1, alpha);
+    const matrix = new THREE.Matrix4().compose(
+      position,
+      quaternion,
+      new THREE.Vector3(scale, scale, scale)
+    );
+    result.facialTransformationMatrixes.push({ rows: 4, columns: 4, data: matrix.toArray() });
+
+    const values = new Map();
+    for (const [name, value] of Object.entries(faceA.blendshapes)) {
+      values.set(name, THREE.MathUtils.lerp(value, faceB.blendshapes[name] ?? value, alpha));
+    }
+    if (a.values === "raw") {
+      const categories = [...values].map(([categoryName, score], index) => ({
+        index,
+        score,
+        categoryName,
+        displayName: "",
+      }));
+      result.faceBlendshapes.push({ categories });
+      result.morphTargets.push(null);
+    } else {
+      result.faceBlendshapes.push(null);
+      result.morphTargets.push(values);
+    }
+  }
+  return result;
+}
+
+// Renders a performer tracked elsewhere: a WebSocket client for the
+// "watchdog-frame" messages of Settings → Output (JSON), usually through the
+// relay in scripts/output-receiver.mjs. Frames are buffered and played
+// NETWORK_JITTER_BUFFER_MS behind the sender, interpolated every render frame.
+class NetworkSource {
+  constructor(url) {
+    this.url = url;
+    this.socket = null;
+    this.frames = [];
+    this.offsets = [];
+    this.lastArrival = 0;
+    this.lost = true;
+    this.rafId = 0;
+    this.retryMs = OUTPUT_RECONNECT_MS[0];
+    this.retryTimer = null;
+    this.active = false;
+    this.warnedBinary = false;
+    // Bad messages usually repeat every frame (e.g. a sender on another schema
+    // version): the first one per connection is logged.
+    this.warnedBadMessage = false;
+    this.status = "Not connected.";
+    this.onStatus = null;
+  }
+
+  setStatus(status) {
+    this.status = status;
+    if (this.onStatus) this.onStatus(status);
+    // No camera status to compete with: the status line follows the connection.
+    if (trackingSource === this) setStatus(status, !this.lost);
+  }
+
+  start() {
+    this.active = true;
+    this.connect();
+    const tick = (now) => {
+      this.update(now);
+      this.rafId = requestAnimationFrame(tick);
+    };
+    this.rafId = requestAnimationFrame(tick);
+  }
+
+  stop() {
+    this.active = false;
+    cancelAnimationFrame(this.rafId);
+    clearTimeout(this.retryTimer);
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) socket.close();
+  }
+
+  describe() {
+    return `network (${this.url})`;
+  }
+
+  connect() {
+    let socket;
+    try {
+      socket = new WebSocket(this.url);
+    } catch (e) {
+      this.setStatus(`Invalid URL: ${e.message || e}`);
+      return;
+    }
+    this.socket = socket;
+    this.setStatus(`Connecting to ${this.url}…`);
+    socket.onopen = () => {
+      this.retryMs = OUTPUT_RECONNECT_MS[0];
+      this.warnedBadMessage = false;
+      logMsg(`Source connected: ${this.url}.`, "network");
+      this.setStatus(`Connected to ${this.url}; waiting for frames.`);
+    };
+    socket.onmessage = (ev) => {
+      if (typeof ev.data !== "string") {
+        if (!this.warnedBinary) {
+          logMsg("Source: ignoring binary (VMC) messages; use JSON output.", "network", "warn");
+        }
+        this.warnedBinary = true;
+        return;
+      }
+      try {
+        this.receive(JSON.parse(ev.data), performance.now());
+      } catch (e) {
+        if (this.warnedBadMessage) return;
+        this.warnedBadMessage = true;
+        const message = `Source: bad message (${e.message || e}); further ones are not logged.`;
+        logMsg(message, "network", "warn");
+      }
+    };
+    socket.onclose = () => {
+      if (this.socket !== socket || !this.active) return;
+      this.socket = null;
+      const seconds = Math.round(this.retryMs / 1000);
+      this.setStatus(`Not connected to ${this.url}; retrying in ${seconds} s.`);
+      this.retryTimer = setTimeout(() => this.active && this.connect(), this.retryMs);
+      this.retryMs = Math.min(this.retryMs * 2, OUTPUT_RECONNECT_MS[1]);
+    };
+  }
+
+  receive(message, arrival) {
+    if (message.type !== "watchdog-frame") return;
+    if (message.version !== OUTPUT_SCHEMA_VERSION) {
+      throw new Error(`unsupported frame version ${message.version}`);
+    }
+    const previous = this.frames[this.frames.length - 1];
+    // The sender reloaded (its clock restarted): forget the old timeline.
+    if (previous && message.t < previous.t) {
+      this.frames = [];
+      this.offsets = [];
+    }
+    this.frames.push({ t: message.t, values: message.values, faces: message.faces });
+    this.offsets.push(arrival - message.t);
+    if (this.offsets.length > NETWORK_CLOCK_WINDOW) this.offsets.shift();
+    this.lastArrival = arrival;
+    if (this.lost) {
+      this.lost = false;
+      this.setStatus(`Receiving from ${this.url}.`);
+    }
+  }
+
+  update(now) {
+    if (trackingSource !== this || this.frames.length === 0) return;
+    if (now - this.lastArrival > NETWORK_LOST_MS) {
+      if (this.lost) return;
+      this.lost = true;
+      this.setStatus(`Connected to ${this.url}; no frames.`);
+      applyTrackingResult({ facialTransformationMatrixes: [] }, now, NETWORK_RESULT_OPTIONS);
+      return;
+    }
+    // The fastest frame in the window had the least network delay.
+    const playhead = now - Math.min(...this.offsets) - NETWORK_JITTER_BUFFER_MS;
+    while (this.frames.length > 1 && this.frames[1].t <= playhead) this.frames.shift();
+    const [a, b = a] = this.frames;
+    const alpha = b.t > a.t ? THREE.MathUtils.clamp((playhead - a.t) / (b.t - a.t), 0, 1) : 0;
+    applyTrackingResult(networkFramesToResult(a, b, alpha), now, NETWORK_RESULT_OPTIONS);
+  }
+}
+
+let trackingSource = null;
+const cameraSource = new CameraSource();
+// Called with the new source whenever setTrackingSource switches.
+const sourceChangeListeners = new Set();
+
+// Switch what drives the avatars; the previous source is stopped and the
+// face tracks start from scratch.
+function setTrackingSource(source) {
+  if (trackingSource === source) return Promise.resolve();
+  const previous = trackingSource;
+  trackingSource = source;
+  if (previous) previous.stop();
+  faceTracker?.reset();
+  logMsg(`Tracking source: ${source.describe()}.`, "tracking");
+  for (const listener of sourceChangeListeners) listener(source);
+  return Promise.resolve(source.start());
+}
+
+// Returns the source to start with: ?source= wins over the saved choice.
+function setupSourceUI() {
+  const settings = loadSettings("source", SOURCE_DEFAULTS);
+  const fromUrl = new URLSearchParams(window.location.search).get("source");
+  const effective = { ...settings };
+  if (fromUrl === "camera") effective.kind = "camera";
+  else if (fromUrl) Object.assign(effective, { kind: "network", url: fromUrl });
+  setupSettingsSection("source-option", "source-dropdown");
+  const info = document.getElementById("source-info");
+  const urlInput = document.getElementById("source-url");
+
+  let network = null;
+  const networkSource = () => {
+    if (!network || network.url !== effective.url) {
+      network = new NetworkSource(effective.url);
+      network.onStatus = (status) => {
+        if (info && trackingSource === network) info.textContent = status;
+      };
+    }
+    return network;
+  };
+  const sourceFor = () => (effective.kind === "network" ? networkSource() : cameraSource);
+  sourceChangeListeners.add((source) => {
+    if (!info) return;
+    info.textContent =
+      source instanceof NetworkSource ? source.status : `Using ${source.describe()}.`;
+  });
+
+  const apply = () => {
+    saveSettings("source", settings);
+    // A playing take keeps going; the new choice applies when it stops.
+    if (trackingSource instanceof TakeSource) sourceBeforeTake = sourceFor();
+    else setTrackingSource(sourceFor());
+  };
+  bindSelect("source-kind", effective.kind, (value) => {
+    settings.kind = effective.kind = value;
+    apply();
+  });
+  if (urlInput) {
+    urlInput.value = effective.url;
+    urlInput.addEventListener("change", () => {
+      settings.url = effective.url = urlInput.value.trim();
+      apply();
+    });
+  }
+  return sourceFor();
+}
+
+// ---------------------------------------------------------------------------
+// Face tracking
+// ---------------------------------------------------------------------------
+
+let faceInference = null;
+let poseLandmarker = null;
+let handLandmarker = null;
+let visionFileset = null;
+let bodyAvatar = null;
+let video = null;
+let scene = null;
+let avatar = null;
+let faceTracker = null;
+let currentModelSource = null;
+// Called with the new source whenever Settings → Model switches models.
+const modelChangeListeners = new Set();
+let loggedFirstFace = false;
+const calibrator = new Calibrator();
+calibrator.onStatus = setStatus;
+const takeRecorder = new TakeRecorder();
+let lastTake = null;
+const lipSync = new LipSync();
+
+const performanceMonitor = new PerformanceMonitor();
+const trackingOutput = new TrackingOutput();
+
+// Calibration and take recording read the camera's own results, which only
+// exist while it is the tracking source.
+function requireCameraSource(action) {
+  if (trackingSource === cameraSource) return true;
+  setStatus(`${action} needs the camera: stop the take or pick Camera in Settings → Source.`);
+  return false;
+}
+
+sourceChangeListeners.add((source) => {
+  if (source !== cameraSource) calibrator.fail("the camera stopped being the tracking source");
+});
+
+// Called for every camera frame.
+function detectFaceLandmarks(time) {
+  if (!faceInference || !video || !avatar) return;
+  // Skip inference while a take or a remote performer drives the avatars.
+  if (trackingSource !== cameraSource) return;
+  const keepFrame = Boolean(faceTracker?.expressions.tongue);
+  performanceMonitor.cameraFrame(time, faceInference.detect(video, time, keepFrame));
+  detectBodyLandmarks(time);
+}
+
+// One Face Landmarker result, from the worker or the main thread. frame: the
+// image it was detected on (see FaceInference), only valid during this call.
+function onFaceResult(result, time, frame) {
+  takeRecorder.capture(result, time);
+  // A take or a remote performer may be driving the avatars instead.
+  if (trackingSource !== cameraSource) return;
+  const matrices = result.facialTransformationMatrixes;
+  const blendshapes = result.faceBlendshapes;
+  if (matrices && matrices.length > 0 && blendshapes && blendshapes.length > 0) {
+    calibrator.observe(
+      new THREE.Matrix4().fromArray(matrices[0].data),
+      blendshapes[0].categories,
+      time
+    );
+  }
+  applyTrackingResult(result, time, { frame });
+}
+
+// Drive the avatars from one FaceLandmarker-shaped result (from the active
+// tracking source). options.frame: the camera frame it came from, for the
+// tongue detector. options.calibration: null skips this device's calibration,
+// e.g. for a remote performer, who isn't the person calibrated here; it only
+// applies to the primary face, the one calibration observed.
+// options.expressions: false skips the derived-expression detectors, for
+// scores that already include them (a sender's raw values).
+// options.headPose: the head pose settings to apply instead of this device's
+// Settings → Head pose, e.g. none for a pose the sender already mapped.
+function applyTrackingResult(result, time, options = {}) {
+  if (!faceTracker) return;
+  const { headPose = faceTracker.headPose } = options;
+  const matched = faceTracker.update(resultFaces(result), time);
+  for (const { track, face } of matched) {
+    applyFaceToTrack(track, face, time, { ...options, headPose });
+  }
+  trackingOutput.publish(
+    matched.map(({ track }) => ({
+      slotIndex: faceTracker.slots.findIndex((slot) => slot && slot.track === track),
+      track,
+    })),
+    time,
+    headPose
+  );
+}
+
+function applyFaceToTrack(track, face, time, options) {
+  const { calibration = calibrator } = options;
+  // Calibration measured the primary face, and the microphone belongs to it;
+  // other hosts keep the defaults.
+  const primary = track.avatar === avatar;
+  track.apply(face, time, {
+    ...options,
+    calibration: primary ? calibration : null,
+    blend: primary
+      ? (blendshapes, matrix) => lipSync.blend(blendshapes, visualMouthConfidence(matrix))
+      : null,
+  });
+  if (loggedFirstFace) return;
+  const matrixScale = new THREE.Vector3().setFromMatrixScale(face.matrix).x.toFixed(3);
+  if (face.blendshapes) {
+    loggedFirstFace = true;
+    const categories = face.blendshapes[0].categories.length;
+    logMsg(
+      `Face tracking active: matrix scale=${matrixScale}, blendshapes=${categories}`,
+      "tracking"
+    );
+    if (calibrator.state === "success") {
+      setStatus("Using saved calibration. Ready — move your face", true);
+    }
+  } else if (!face.morphTargets) {
+    logMsg(
+      `Face tracking: matrix present (scale=${matrixScale}) but no blendshape data.`,
+      "tracking",
+      "warn"
+    );
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Camera stream
+// ---------------------------------------------------------------------------
+
+// Owns the getUserMedia stream behind #video and the loop that feeds its frames
+// to detectFaceLandmarks. Switching cameras stops the old stream first (phones
+// can't open two at once), then reattaches the loop to the new one.
+class CameraStream {
+  constructor() {
+    this.settings = { ...CAMERA_DEFAULTS };
+    this.stream = null;
+    // True once a stream has run; settings changes restart it from then on.
+    this.started = false;
+    this.stopFrameLoop = null;
+    this.starting = Promise.resolve();
+    // Called after every (re)start, e.g. to refresh the device list.
+    this.startListeners = new Set();
+  }
+
+  configure(settings) {
+    this.settings = settings;
+    document.documentElement.classList.toggle("camera-unmirrored", !settings.mirror);
+  }
+
+  get mirror() {
+    return this.settings.mirror;
+  }
+
+  constraints(useDevice) {
+    const [width, height] = this.settings.resolution.split("x").map(Number);
+    const constraints = {
+      width: { ideal: width },
+      height: { ideal: height },
+      frameRate: { ideal: this.settings.frameRate },
+    };
+    if (useDevice && this.settings.deviceId) {
+      constraints.deviceId = { exact: this.settings.deviceId };
+    } else {
+      constraints.facingMode = "user";
+    }
+    return { audio: false, video: constraints };
+  }
+
+  async open() {
+    try {
+      return await navigator.mediaDevices.getUserMedia(this.constraints(true));
+    } catch (e) {
+      // The saved camera may be unplugged or renamed; fall back to the default.
+      if (!this.settings.deviceId || e.name === "NotAllowedError") throw e;
+      logMsg(
+        `Saved camera unavailable (${e.name || e.message}), using the default.`,
+        "camera",
+        "warn"
+      );
+      return navigator.mediaDevices.getUserMedia(this.constraints(false));
+    }
+  }
+
+  // Starts (or restarts with the current settings). Calls are queued, so
+  // quickly changing several settings never leaves two streams open.
+  restart() {
+    const run = this.starting.catch(() => {}).then(() => this.start());
+    this.starting = run;
+    return run;
+  }
+
+  async start() {
+    this.stop();
+    const stream = await this.open();
+    this.stream = stream;
+    const metadata = new Promise((resolve) => {
+      video.addEventListener("loadedmetadata", resolve, { once: true });
+    });
+    video.srcObject = stream;
+    await metadata;
+    await video.play();
+    this.attachFrameLoop();
+    this.started = true;
+    logMsg(`Camera started: ${this.describe()}.`, "camera");
+    for (const listener of this.startListeners) listener();
+  }
+
+  stop() {
+    if (this.stopFrameLoop) this.stopFrameLoop();
+    this.stopFrameLoop = null;
+    if (this.stream) this.stream.getTracks().forEach((track) => track.stop());
+    this.stream = null;
+    if (video) video.srcObject = null;
+  }
+
+  // requestVideoFrameCallback runs once per new camera frame; Safari/iOS
+  // without it polls on requestAnimationFrame. Either way the old loop is
+  // cancelled first, so a switch never leaves two loops detecting.
+  attachFrameLoop() {
+    let active = true;
+    let handle = 0;
+    if (typeof video.requestVideoFrameCallback === "function") {
+      const onFrame = (time) => {
+        if (!active) return;
+        detectFaceLandmarks(time);
+        handle = video.requestVideoFrameCallback(onFrame);
+      };
+      handle = video.requestVideoFrameCallback(onFrame);
+      this.stopFrameLoop = () => {
+        active = false;
+        video.cancelVideoFrameCallback(handle);
+      };
+    } else {
+      logMsg("Using requestAnimationFrame fallback (Safari/iOS).", "camera");
+      const onFrame = () => {
+        if (!active) return;
+        if (video.readyState >= 2) detectFaceLandmarks(performance.now());
+        handle = requestAnimationFrame(onFrame);
+      };
+      handle = requestAnimationFrame(onFrame);
+      this.stopFrameLoop = () => {
+        active = false;
+        cancelAnimationFrame(handle);
+      };
+    }
+  }
+
+  // e.g. "Logitech BRIO, 1280×720 @ 30 fps".
+  describe() {
+    const track = this.stream?.getVideoTracks()[0];
+    if (!track) return "Not started.";
+    const { width, height, frameRate } = track.getSettings();
+    const fps = frameRate ? ` @ ${Math.round(frameRate)} fps` : "";
+    return `${track.label || "Camera"}, ${width}×${height}${fps}`;
+  }
+
+  async devices() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter((device) => device.kind === "videoinput");
+  }
+}
+
+const cameraStream = new CameraStream();
+
+async function streamWebcam() {
+  video = document.getElementById("video");
+  if (!video) {
+    setStatus("Error: no video element");
+    return Promise.reject(new Error("No video element"));
+  }
+  if (!navigator.mediaDevices?.getUserMedia) {
+    return Promise.reject(new Error("getUserMedia is not available (needs HTTPS)"));
+  }
+  setStatus("Requesting camera… Allow when prompted.");
+  logMsg("Calling getUserMedia…", "camera");
+  try {
+    await cameraStream.restart();
+  } catch (e) {
+    const msg = e.message || String(e);
+    logMsg(`Camera error: ${msg}`, "camera", "error");
+    setStatus(`Camera error: ${msg}. Tap gear → Logs to copy.`);
+    throw e;
+  }
+}
+
+function setupCameraUI(camera) {
+  const settings = loadSettings("camera", CAMERA_DEFAULTS);
+  camera.configure(settings);
+  setupSettingsSection("camera-option", "camera-dropdown");
+  const deviceSelect = document.getElementById("camera-device");
+  const info = document.getElementById("camera-info");
+  const showInfo = () => {
+    if (info) info.textContent = camera.describe();
+  };
+
+  // Changes apply live once the camera has run; before that (or if it was
+  // denied) they're just saved for the next start.
+  const restart = () => {
+    if (!camera.started) return;
+    camera.restart().catch((e) => {
+      logMsg(`Camera switch failed: ${e.message || e}`, "camera", "error");
+      setStatus("Camera switch failed. Tap gear → Logs to copy.");
+      showInfo();
+    });
+  };
+  const update = (key, restartCamera) => (value) => {
+    settings[key] = value;
+    saveSettings("camera", settings);
+    camera.configure(settings);
+    if (restartCamera) restart();
+  };
+
+  // Labels are only filled in once camera permission is granted, so the
+  // list is rebuilt after each start and whenever a camera is plugged in.
+  const refreshDevices = async () => {
+    if (!deviceSelect) return;
+    const devices = await camera.devices();
+    deviceSelect.replaceChildren(
+      new Option("Default (front camera)", ""),
+      ...devices
+        .filter((device) => device.deviceId)
+        .map((device, i) => new Option(device.label || `Camera ${i + 1}`, device.deviceId))
+    );
+    const known = devices.some((device) => device.deviceId === settings.deviceId);
+    deviceSelect.value = known ? settings.deviceId : "";
+  };
+
+  if (deviceSelect) {
+    deviceSelect.addEventListener("change", () =>
+      update("deviceId", true)(deviceSelect.value || null)
+    );
+  }
+  bindSelect("camera-resolution", settings.resolution, update("resolution", true));
+  bindSelect("camera-fps", String(settings.frameRate), (value) =>
+    update("frameRate", true)(Number(value))
+  );
+  bindCheckbox("camera-mirror", settings.mirror, update("mirror"));
+  navigator.mediaDevices?.addEventListener?.("devicechange", refreshDevices);
+  camera.startListeners.add(() => {
+    refreshDevices();
+    showInfo();
+  });
+  refreshDevices();
+}
+
+// ---------------------------------------------------------------------------
+// Diagnostics (Logs panel filters and the bug-report bundle)
+// ---------------------------------------------------------------------------
+
+const DIAGNOSTICS_FORMAT = "watchdog-diagnostics";
+const DIAGNOSTICS_VERSION = 1;
+
+function webglDiagnostics() {
+  if (!scene) return null;
+  const gl = scene.renderer.getContext();
+  const debugInfo = gl.getExtension("WEBGL_debug_renderer_info");
+  const { capabilities } = scene.renderer;
+  return {
+    version: gl.getParameter(gl.VERSION),
+    vendor: debugInfo ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) : null,
+    renderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : null,
+    webgl2: capabilities.isWebGL2,
+    precision: capabilities.precision,
+    maxTextureSize: capabilities.maxTextureSize,
+    maxTextures: capabilities.maxTextures,
+    maxVertexUniforms: capabilities.maxVertexUniforms,
+    contextLost: gl.isContextLost(),
+  };
+}
+
+function storedSettings() {
+  const settings = {};
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key.startsWith(SETTINGS_KEY_PREFIX)) continue;
+      settings[key.slice(SETTINGS_KEY_PREFIX.length)] = JSON.parse(localStorage.getItem(key));
+    }
+  } catch (_) {}
+  return settings;
+}
+
+// Everything a bug report needs, as one JSON-able object. No camera frames;
+// the camera label and the settings are the only user-specific parts.
+function collectDiagnostics() {
+  const canvas = scene?.renderer.domElement;
+  return {
+    format: DIAGNOSTICS_FORMAT,
+    version: DIAGNOSTICS_VERSION,
+    createdAt: new Date().toISOString(),
+    timeZone: LOG_TIME_FORMAT.resolvedOptions().timeZone,
+    environment: {
+      url: location.href,
+      userAgent: navigator.userAgent,
+      language: navigator.language,
+      secureContext: window.isSecureContext,
+      assets: assetBase || "CDN",
+      serviceWorker: Boolean(navigator.serviceWorker?.controller),
+      crossOriginIsolated: window.crossOriginIsolated,
+      hardwareConcurrency: navigator.hardwareConcurrency,
+    },
+    display: {
+      devicePixelRatio: window.devicePixelRatio || 1,
+      window: [window.innerWidth, window.innerHeight],
+      canvas: canvas ? [canvas.width, canvas.height] : null,
+      broadcast: document.documentElement.classList.contains("broadcast"),
+    },
+    webgl: webglDiagnostics(),
+    camera: cameraStream.describe(),
+    tracking: {
+      source: trackingSource?.describe() || null,
+      faceInference: faceInference?.describe() || null,
+      maxFaces: faceTracker?.maxFaces ?? null,
+      body: Boolean(bodyAvatar?.enabled),
+      calibrated: Boolean(calibrator.profile),
+      output: trackingOutput.status,
+    },
+    model: avatar
+      ? {
+          source: currentModelSource?.label || null,
+          retargetProfile: avatar.retargetProfile.name || null,
+          morphTargets: avatar.morphTargetMeshes.map((mesh) => ({
+            mesh: mesh.name,
+            targets: Object.keys(mesh.morphTargetDictionary || {}),
+          })),
+          accessories: outfitItems.map(({ name, anchor }) => ({ name, anchor })),
+        }
+      : null,
+    performance: performanceMonitor.snapshot(),
+    settings: storedSettings(),
+    logs: logEntries.map((entry) => ({ ...entry, time: new Date(entry.time).toISOString() })),
+  };
+}
+
+function downloadDiagnostics() {
+  const json = JSON.stringify(collectDiagnostics(), null, 2);
+  downloadBlob(
+    new Blob([json], { type: "application/json" }),
+    `watchdog-diagnostics-${timestampForFilename()}.json`
+  );
+  logMsg("Diagnostics downloaded.");
+}
+
+// Level, category and search narrow what #logs-content shows (and so what its
+// Copy button copies); the buffer itself keeps every entry.
+function setupLogsUI() {
+  const update = (key) => (value) => {
+    logFilter[key] = value;
+    renderLogs();
+  };
+  bindSelect("logs-level", logFilter.level, update("level"));
+  bindSelect("logs-category", logFilter.category, update("category"));
+  const searchInput = document.getElementById("logs-search");
+  if (searchInput) {
+    searchInput.addEventListener("input", () => {
+      update("search")(searchInput.value.trim().toLowerCase());
+    });
+  }
+  const downloadBtn = document.getElementById("logs-diagnostics");
+  if (downloadBtn) {
+    onTap(downloadBtn, () => {
+      try {
+        downloadDiagnostics();
+      } catch (e) {
+        logMsg(`Diagnostics failed: ${e.message || e}`, "app", "error");
       }
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+let cameraTrackingStart = null;
+
+// Camera + Face Landmarker, started once, when the camera source first runs.
+function startCameraTracking() {
+  if (!cameraTrackingStart) cameraTrackingStart = runCameraTracking();
+  return cameraTrackingStart;
+}
+
+async function runCameraTracking() {
+  // 1) Start the camera.
+  try {
+    await streamWebcam();
+  } catch (e) {
+    // No camera: the dog stays visible but static. Picking the camera source
+    // again (Settings → Source) retries.
+    cameraTrackingStart = null;
+    const msg = e?.message || String(e || "unknown");
+    logMsg(`Camera unavailable or denied: ${msg}`, "camera", "error");
+    setStatus("No camera / permission denied. Watchdog will show but not track.");
+    return;
+  }
+
+  // 2) If camera is OK, load MediaPipe for tracking.
+  setStatus("Loading face model…");
+  logMsg("Loading MediaPipe…", "mediapipe");
+  try {
+    await checkWasmAssets();
+    const vision = await FilesetResolver.forVisionTasks(assetUrl("wasm"));
+    visionFileset = vision;
+    const inference = new FaceInference(performanceMonitor, onFaceResult);
+    await inference.start(performanceMonitor.settings.worker, faceTracker.maxFaces);
+    faceInference = inference;
+    performanceMonitor.source = inference.describe();
+    logMsg(`FaceLandmarker ready (${inference.describe()}).`, "mediapipe");
+    // FaceLandmarker is ready. Reuse this device's saved calibration if there is
+    // one; otherwise run the guided flow (steps advance only while a face is seen).
+    if (calibrator.profile) {
+      calibrator.state = "success";
+      logMsg(`Using saved calibration from ${calibrator.profile.createdAt}.`, "tracking");
+      setStatus("Line up your face…");
+    } else if (trackingSource === cameraSource) {
+      calibrator.start();
     }
-    // FaceLandmarker is ready; we still wait for first good face data to mark success.
-    setStatus("Calibrating hologram… move closer and look at the camera.");
+    if (bodyAvatar.enabled) startBodyTracking();
   } catch (e) {
     const msg = e.message || String(e);
-    logMsg(`MediaPipe error: ${msg}`);
-    setStatus(`MediaPipe error. Tap gear → Logs to copy.`);
+    logMsg(`MediaPipe error: ${msg}`, "mediapipe", "error");
+    setStatus(
+      e.asset
+        ? `${msg}. Tap gear → Logs to copy.`
+        : `MediaPipe error. Tap gear → Logs to copy.`
+    );
+  }
+}
+
+async function runDemo() {
+  logMsg(`App started. Secure: ${window.isSecureContext}.`);
+  logMsg(`Assets: ${assetBase ? `self-hosted from ${assetBase}` : "CDN"}.`);
+  registerServiceWorker();
+  setupLogsUI();
+  setupCalibrationUI(calibrator);
+  setupRecordingUI();
+  setStatus("Loading 3D watchdog…");
+
+  // Broadcast mode (URL query): no UI, fixed output size, key color or alpha background.
+  const broadcast = getBroadcastOptions();
+  if (broadcast) {
+    document.documentElement.classList.add("broadcast");
+    document.documentElement.style.setProperty(
+      "--broadcast-bg",
+      broadcast.background === "transparent" ? "transparent" : broadcast.background
+    );
+    logMsg(
+      `Broadcast mode: ${broadcast.outputSize.width}x${broadcast.outputSize.height}, background ${broadcast.background}.`,
+      "render"
+    );
+  }
+
+  // 1) Always create the 3D scene + dog immediately, before camera permissions.
+  currentModelSource = await getStartupModelSource();
+  let initialSource = cameraSource;
+  try {
+    scene = new BasicScene(broadcast || {});
+    faceTracker = new FaceTracker(createFaceAvatar);
+    avatar = faceTracker.primaryAvatar;
+    scene.renderListeners.add((now) => {
+      lipSync.update(now);
+      faceTracker
+        .slot(0)
+        .motion.setAudioBlendshapes(
+          lipSync.categories
+            ? retarget([{ categories: lipSync.categories }], null, avatar.retargetProfile)
+            : null
+        );
+    });
+    scene.renderListeners.add((now) => faceTracker.animate(now));
+    scene.renderListeners.add((now) => performanceMonitor.renderFrame(now));
+    bodyAvatar = new BodyAvatar(scene.scene, {
+      tint: loadAppearance(currentModelSource.key).tint,
+    });
+    scene.renderListeners.add((now) => bodyAvatar.update(now, avatar));
+    setupCameraUI(cameraStream);
+    setupPerformanceUI(performanceMonitor);
+    setupOutputUI(trackingOutput);
+    initialSource = setupSourceUI();
+    setupSmoothingUI(faceTracker);
+    setupMotionUI(faceTracker);
+    setupExpressionsUI(faceTracker);
+    setupLipSyncUI(lipSync);
+    setupHeadPoseUI(faceTracker);
+    setupFacesUI(faceTracker);
+    setupModelUI();
+    setupAppearanceUI();
+    setupAccessoriesUI();
+    setupClipUI(new ClipRecorder(scene));
+    setupBodyUI(bodyAvatar);
+    logMsg("Scene created (watchdog should be visible even without camera).", "render");
+  } catch (e) {
+    logMsg(`Scene error: ${e.message || e}`, "render", "error");
+    setStatus(`Scene error. Tap gear → Logs to copy.`);
+    return;
   }
+
+  // 2) Then start the tracking source: normally the camera, which asks for
+  // permission; a network source renders a remote performer without it.
+  await setTrackingSource(initialSource);
 }
 
 runDemo().catch((e) => {
-  logMsg(`runDemo failed: ${e.message || e}`);
+  logMsg(`runDemo failed: ${e.message || e}`, "app", "error");
   setStatus("Error. Tap gear → Logs to copy.");
 });
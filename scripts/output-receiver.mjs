@@ -0,0 +1,250 @@
+/**
+ * Reference receiver for Settings → Output: a WebSocket server that prints
+ * what the app sends, in either format. No dependencies (Node 18+).
+ *
+ *   node scripts/output-receiver.mjs          → ws://localhost:39540
+ *   node scripts/output-receiver.mjs 8080     → ws://localhost:8080
+ *
+ * JSON frames are summarized once a second (pass --all to print every one,
+ * --quiet for nothing); VMC/OSC bundles are decoded. See "Tracking output" in
+ * the README for the message schema.
+ *
+ * It is also a relay: every message is forwarded to all other connected
+ * clients, so a second browser opened with ?source=ws://<this host>:39540
+ * renders the performer (Settings → Source).
+ */
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+
+const args = process.argv.slice(2);
+const port = Number(args.find((arg) => /^\d+$/.test(arg))) || 39540;
+const printAll = args.includes("--all");
+const quiet = args.includes("--quiet");
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// ---------------------------------------------------------------------------
+// Minimal WebSocket server (RFC 6455): handshake, masked client frames,
+// fragmented messages, ping/pong and close. Enough for one local client.
+// ---------------------------------------------------------------------------
+
+function sendFrame(socket, opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  socket.write(Buffer.concat([header, payload]));
+}
+
+// onMessage(data, opcode): data is a string for text messages, else a Buffer.
+function handleConnection(socket, onMessage) {
+  let buffered = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentOpcode = 0;
+  socket.on("data", (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    while (buffered.length >= 2) {
+      const fin = (buffered[0] & 0x80) !== 0;
+      const opcode = buffered[0] & 0x0f;
+      const masked = (buffered[1] & 0x80) !== 0;
+      let length = buffered[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffered.length < 4) return;
+        length = buffered.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffered.length < 10) return;
+        length = Number(buffered.readBigUInt64BE(2));
+        offset = 10;
+      }
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (buffered.length < offset + length) return;
+      const payload = Buffer.from(buffered.subarray(offset, offset + length));
+      if (masked) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= buffered[maskOffset + (i % 4)];
+      }
+      buffered = buffered.subarray(offset + length);
+
+      if (opcode === 0x8) {
+        sendFrame(socket, 0x8);
+        socket.end();
+        return;
+      }
+      if (opcode === 0x9) {
+        sendFrame(socket, 0xa, payload);
+        continue;
+      }
+      if (opcode === 0xa) continue;
+      if (opcode !== 0) fragmentOpcode = opcode;
+      fragments.push(payload);
+      if (!fin) continue;
+      const message = Buffer.concat(fragments);
+      fragments = [];
+      onMessage(fragmentOpcode === 0x1 ? message.toString("utf8") : message, fragmentOpcode);
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// OSC decoding (the subset the app sends: i, f, s; bundles)
+// ---------------------------------------------------------------------------
+
+function readOscString(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+  const value = buffer.toString("utf8", offset, end);
+  return { value, next: (end + 4) & ~3 };
+}
+
+function decodeOsc(buffer, out = []) {
+  if (buffer.toString("utf8", 0, 7) === "#bundle") {
+    let offset = 16; // "#bundle\0" + timetag
+    while (offset < buffer.length) {
+      const size = buffer.readInt32BE(offset);
+      decodeOsc(buffer.subarray(offset + 4, offset + 4 + size), out);
+      offset += 4 + size;
+    }
+    return out;
+  }
+  const address = readOscString(buffer, 0);
+  const types = readOscString(buffer, address.next);
+  let offset = types.next;
+  const values = [];
+  for (const type of types.value.slice(1)) {
+    if (type === "i") {
+      values.push(buffer.readInt32BE(offset));
+      offset += 4;
+    } else if (type === "f") {
+      values.push(Number(buffer.readFloatBE(offset).toFixed(4)));
+      offset += 4;
+    } else if (type === "s") {
+      const str = readOscString(buffer, offset);
+      values.push(str.value);
+      offset = str.next;
+    } else {
+      values.push(`<unsupported type ${type}>`);
+      break;
+    }
+  }
+  out.push({ address: address.value, values });
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Printing
+// ---------------------------------------------------------------------------
+
+let frames = 0;
+let lastPrint = 0;
+
+function top(blendshapes, count = 5) {
+  return Object.entries(blendshapes)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, count)
+    .map(([name, value]) => `${name}=${value.toFixed(2)}`)
+    .join(" ");
+}
+
+function printJson(text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (e) {
+    console.log(`Not JSON (${e.message}): ${text.slice(0, 80)}`);
+    return;
+  }
+  if (message.type === "watchdog-hello") {
+    console.log(`Hello: schema v${message.version}, ${message.values} values.`);
+    return;
+  }
+  if (message.type !== "watchdog-frame") {
+    console.log(`Unknown message type: ${message.type}`);
+    return;
+  }
+  frames++;
+  const now = Date.now();
+  if (!printAll && now - lastPrint < 1000) return;
+  lastPrint = now;
+  if (message.faces.length === 0) {
+    console.log(`t=${message.t} (${frames} frames) no face`);
+    return;
+  }
+  for (const face of message.faces) {
+    const { yaw, pitch, roll } = face.euler;
+    const [x, y, z] = face.position.map((v) => v.toFixed(1));
+    console.log(
+      `t=${message.t} (${frames} frames) face ${face.id}: pos ${x},${y},${z} cm ` +
+        `yaw ${yaw} pitch ${pitch} roll ${roll} | ${top(face.blendshapes)}`
+    );
+  }
+}
+
+function printVmc(buffer) {
+  frames++;
+  const now = Date.now();
+  if (!printAll && now - lastPrint < 1000) return;
+  lastPrint = now;
+  const messages = decodeOsc(buffer);
+  const blend = {};
+  for (const { address, values } of messages) {
+    if (address === "/VMC/Ext/Blend/Val") blend[values[0]] = values[1];
+    else if (address !== "/VMC/Ext/Blend/Apply") console.log(`${address} ${values.join(" ")}`);
+  }
+  const count = Object.keys(blend).length;
+  console.log(`/VMC/Ext/Blend/Val ×${count}: ${top(blend)} (${frames} bundles)`);
+}
+
+const clients = new Set();
+
+const server = createServer((req, res) => {
+  res.writeHead(426, { "Content-Type": "text/plain" });
+  res.end("WebSocket only.\n");
+});
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (!key) {
+    socket.destroy();
+    return;
+  }
+  const accept = createHash("sha1")
+    .update(key + WS_GUID)
+    .digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  console.log(`Client connected from ${req.headers.origin || socket.remoteAddress}.`);
+  frames = 0;
+  clients.add(socket);
+  socket.on("close", () => {
+    clients.delete(socket);
+    console.log("Client disconnected.");
+  });
+  socket.on("error", () => {});
+  handleConnection(socket, (message, opcode) => {
+    const payload = typeof message === "string" ? Buffer.from(message) : message;
+    for (const client of clients) if (client !== socket) sendFrame(client, opcode, payload);
+    if (quiet) return;
+    if (typeof message === "string") printJson(message);
+    else printVmc(message);
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Listening on ws://localhost:${port} — set Settings → Output to this URL.`);
+});
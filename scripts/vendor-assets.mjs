@@ -0,0 +1,76 @@
+/**
+ * Downloads every runtime asset the app fetches from a CDN into one folder,
+ * laid out the way index.html and main.js expect for a self-hosted asset base.
+ *
+ *   npm run vendor                 → ./vendor
+ *   node scripts/vendor-assets.mjs public/assets
+ *
+ * Then open the app with ?assets=vendor/ (or set data-asset-base="vendor/" on
+ * <html> in index.html). Keep the versions and URLs in sync with index.html's
+ * import map and MEDIAPIPE_ASSETS in main.js.
+ */
+
+import { mkdir, writeFile } from "node:fs/promises";
+import { dirname, join, resolve } from "node:path";
+
+const THREE = "https://cdn.jsdelivr.net/npm/three@0.150.1";
+const TASKS_VISION = "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.1.0-alpha-16";
+const MODELS = "https://storage.googleapis.com/mediapipe-models";
+
+// [local path under the asset base, source URL]
+const ASSETS = [
+  ["three/build/three.module.js", `${THREE}/build/three.module.js`],
+  ["three/examples/jsm/loaders/GLTFLoader.js", `${THREE}/examples/jsm/loaders/GLTFLoader.js`],
+  [
+    "three/examples/jsm/exporters/GLTFExporter.js",
+    `${THREE}/examples/jsm/exporters/GLTFExporter.js`,
+  ],
+  ["three/examples/jsm/utils/SkeletonUtils.js", `${THREE}/examples/jsm/utils/SkeletonUtils.js`],
+  [
+    "three/examples/jsm/utils/BufferGeometryUtils.js",
+    `${THREE}/examples/jsm/utils/BufferGeometryUtils.js`,
+  ],
+  ["@mediapipe/tasks-vision/vision_bundle.js", `${TASKS_VISION}/vision_bundle.js`],
+  ...[
+    "vision_wasm_internal.js",
+    "vision_wasm_internal.wasm",
+    "vision_wasm_nosimd_internal.js",
+    "vision_wasm_nosimd_internal.wasm",
+  ].map((name) => [`@mediapipe/tasks-vision/wasm/${name}`, `${TASKS_VISION}/wasm/${name}`]),
+  [
+    "models/face_landmarker.task",
+    `${MODELS}/face_landmarker/face_landmarker/float16/latest/face_landmarker.task`,
+  ],
+  [
+    "models/pose_landmarker_lite.task",
+    `${MODELS}/pose_landmarker/pose_landmarker_lite/float16/latest/pose_landmarker_lite.task`,
+  ],
+  [
+    "models/hand_landmarker.task",
+    `${MODELS}/hand_landmarker/hand_landmarker/float16/latest/hand_landmarker.task`,
+  ],
+];
+
+const outDir = resolve(process.argv[2] || "vendor");
+let failed = 0;
+
+for (const [path, url] of ASSETS) {
+  const target = join(outDir, path);
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = Buffer.from(await res.arrayBuffer());
+    await mkdir(dirname(target), { recursive: true });
+    await writeFile(target, data);
+    console.log(`${path} (${(data.length / 1024).toFixed(0)} KB)`);
+  } catch (e) {
+    failed++;
+    console.error(`FAILED ${path} from ${url}: ${e.message || e}`);
+  }
+}
+
+if (failed) {
+  console.error(`${failed} of ${ASSETS.length} assets failed.`);
+  process.exit(1);
+}
+console.log(`All ${ASSETS.length} assets in ${outDir}. Open the app with ?assets=vendor/.`);
@@ -0,0 +1,115 @@
+/**
+ * Watchdog offline cache (registered by main.js).
+ *
+ * App shell (same origin): network first, cache as fallback, so deploys show up
+ * on the next load. Versioned CDN URLs (three.js and MediaPipe, pinned with
+ * @<version>): cache first, since they never change. Everything else — other
+ * same-origin files (vendor/, ?model= GLBs, textures) and the MediaPipe models,
+ * which Google serves from /latest/ URLs: stale-while-revalidate, i.e. the
+ * cached copy answers at once and a fresh one replaces it for the next load.
+ * Bump CACHE_VERSION when the shell list or the pinned versions change.
+ */
+
+const CACHE_VERSION = "watchdog-v5";
+
+// index.html's load-failure probe checks the "./lib/…" entries listed here.
+const APP_SHELL = [
+  "./",
+  "./index.html",
+  "./main.js",
+  "./lib/log.js",
+  "./lib/config.js",
+  "./lib/head-pose.js",
+  "./lib/smoothing.js",
+  "./lib/retarget.js",
+  "./lib/expressions.js",
+  "./lib/model-store.js",
+  "./lib/avatar.js",
+  "./lib/motion.js",
+  "./lib/tracking.js",
+  "./lib/calibration.js",
+  "./lib/takes.js",
+  "./face-worker.js",
+  "./style.css",
+  "./favicon.svg",
+  "./manifest.webmanifest",
+  "./Watchdog Model/watchdog_head.glb",
+  "./Watchdog Model/Watchdog Image.png",
+];
+const SHELL_URLS = new Set(APP_SHELL.map((path) => new URL(path, self.location).href));
+
+self.addEventListener("install", (event) => {
+  // One missing file (e.g. no texture) must not stop the rest from caching.
+  event.waitUntil(
+    caches
+      .open(CACHE_VERSION)
+      .then((cache) => Promise.all(APP_SHELL.map((path) => cache.add(path).catch(() => {}))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((key) => key !== CACHE_VERSION).map((key) => caches.delete(key)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_VERSION);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (e) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_VERSION);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Opaque (no-cors) responses can't be checked, so only keep real successes.
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE_VERSION);
+  const cached = await cache.match(request);
+  const refresh = fetch(request).then((response) => {
+    if (response.ok) return cache.put(request, response.clone()).then(() => response);
+    return response;
+  });
+  if (!cached) return refresh;
+  // Offline or failing: the cached copy stays until a refresh succeeds.
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+}
+
+// e.g. cdn.jsdelivr.net/npm/three@0.150.1/…, but not …/float16/latest/….
+function isPinned(url) {
+  return /@\d/.test(url.pathname) && !url.pathname.includes("/latest/");
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.protocol !== "http:" && url.protocol !== "https:") return;
+  const sameOrigin = url.origin === self.location.origin;
+  const shell =
+    sameOrigin && (request.mode === "navigate" || SHELL_URLS.has(url.origin + url.pathname));
+  if (shell) event.respondWith(networkFirst(request));
+  else if (!sameOrigin && isPinned(url)) event.respondWith(cacheFirst(request));
+  else event.respondWith(staleWhileRevalidate(event));
+});
@@ -0,0 +1,14 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readdir, readFile } from "node:fs/promises";
+
+// sw.js caches these for offline use, and index.html probes them when the
+// app fails to load.
+test("the service worker's app shell lists every lib/ module", async () => {
+  const sw = await readFile(new URL("../sw.js", import.meta.url), "utf8");
+  const listed = (sw.match(/"\.\/lib\/[\w-]+\.js"/g) || []).map((path) => path.slice(3, -1));
+  const modules = (await readdir(new URL("../lib/", import.meta.url)))
+    .filter((name) => name.endsWith(".js"))
+    .map((name) => `lib/${name}`);
+  assert.deepEqual([...listed].sort(), modules.sort());
+});
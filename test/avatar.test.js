@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import * as THREE from "three";
+import { AVATAR_SCALE, HEAD_POSE_DEFAULTS } from "../lib/config.js";
+import { Avatar } from "../lib/avatar.js";
+import { retarget } from "../lib/retarget.js";
+import {
+  assertMatrixClose,
+  faceMatrix,
+  faceResult,
+  morphTargetGlb,
+  parseGlb,
+} from "./fixtures.js";
+
+// An avatar showing the given GLB, without the DOM-only placeholder.
+async function avatarWith(buffer, options = {}) {
+  const scene = new THREE.Scene();
+  const avatar = new Avatar(null, scene, { placeholder: false, ...options });
+  avatar.setModel(await parseGlb(buffer));
+  return { avatar, scene };
+}
+
+function influence(avatar, name) {
+  const mesh = avatar.morphTargetMeshes.find((m) => name in m.morphTargetDictionary);
+  return mesh.morphTargetInfluences[mesh.morphTargetDictionary[name]];
+}
+
+test("setModel adds the model to the scene and finds its morph targets", async () => {
+  const { avatar, scene } = await avatarWith(morphTargetGlb());
+  assert.equal(avatar.gltf.scene.parent, scene);
+  assert.equal(avatar.morphTargetMeshes.length, 1);
+  const { morphTargets } = avatar.blendshapeReport();
+  assert.deepEqual(morphTargets, ["jawOpen", "eyeBlinkLeft", "MouthOpen"]);
+});
+
+test("updateBlendshapes sets influences from retargeted scores", async () => {
+  const { avatar } = await avatarWith(morphTargetGlb());
+  const result = faceResult({ jawOpen: 0.2, eyeBlinkLeft: 0.5 });
+  avatar.updateBlendshapes(retarget(result.faceBlendshapes, null, avatar.retargetProfile));
+  assert.ok(Math.abs(influence(avatar, "jawOpen") - 0.44) < 1e-6);
+  assert.ok(Math.abs(influence(avatar, "eyeBlinkLeft") - 0.6) < 1e-6);
+  assert.equal(influence(avatar, "MouthOpen"), 0);
+});
+
+test("a retarget profile drives differently named morph targets", async () => {
+  const { avatar } = await avatarWith(morphTargetGlb());
+  avatar.retargetProfile = {
+    version: 1,
+    categories: { jawOpen: { gain: 1, targets: ["MouthOpen"] } },
+  };
+  const result = faceResult({ jawOpen: 0.7 });
+  avatar.updateBlendshapes(retarget(result.faceBlendshapes, null, avatar.retargetProfile));
+  assert.ok(Math.abs(influence(avatar, "MouthOpen") - 0.7) < 1e-6);
+  assert.equal(influence(avatar, "jawOpen"), 0);
+});
+
+test("applyMatrix places the model at its pose matrix", async () => {
+  const { avatar } = await avatarWith(morphTargetGlb());
+  const matrix = faceMatrix({ position: [2, 1, -40], yaw: 25, pitch: 10 });
+  avatar.applyMatrix(matrix, { scale: 3 });
+  const expected = matrix.clone().scale(new THREE.Vector3(3, 3, 3));
+  assert.equal(avatar.gltf.scene.matrixAutoUpdate, false);
+  assertMatrixClose(avatar.gltf.scene.matrix, expected);
+  const defaultScale = new THREE.Vector3().setScalar(AVATAR_SCALE);
+  assertMatrixClose(avatar.poseMatrix(matrix), matrix.clone().scale(defaultScale));
+});
+
+test("the avatar's size doesn't follow the face matrix scale", async () => {
+  const { avatar } = await avatarWith(morphTargetGlb());
+  for (const scale of [0.7, 1, 1.8]) {
+    avatar.applyMatrix(faceMatrix({ yaw: 10, scale }));
+    const size = new THREE.Vector3().setFromMatrixScale(avatar.gltf.scene.matrix);
+    assert.ok(Math.abs(size.x - AVATAR_SCALE) < 1e-6, `scale ${scale}: ${size.x}`);
+  }
+});
+
+test("the rest pose faces the camera at the rest size", async () => {
+  const { avatar } = await avatarWith(morphTargetGlb());
+  avatar.gltf.scene.updateMatrix();
+  assertMatrixClose(avatar.gltf.scene.matrix, avatar.restTransform());
+  const quaternion = new THREE.Quaternion().setFromRotationMatrix(avatar.restTransform());
+  assert.ok(quaternion.angleTo(new THREE.Quaternion()) < 1e-6);
+});
+
+test("head pose settings apply on the way to the model", async () => {
+  const { avatar } = await avatarWith(morphTargetGlb());
+  avatar.headPose = { ...avatar.headPose, mirror: true };
+  avatar.applyMatrix(faceMatrix({ position: [5, 0, -50] }), { scale: 1 });
+  const position = new THREE.Vector3().setFromMatrixPosition(avatar.gltf.scene.matrix);
+  assert.ok(Math.abs(position.x + 5) < 1e-6);
+  // A pose mapped elsewhere (a network sender) skips this avatar's settings.
+  const premapped = avatar.poseMatrix(faceMatrix({ position: [5, 0, -50] }), {
+    headPose: HEAD_POSE_DEFAULTS,
+  });
+  assert.ok(Math.abs(new THREE.Vector3().setFromMatrixPosition(premapped).x - 5) < 1e-6);
+});
+
+test("the bundled watchdog head loads and finds its nodes", async () => {
+  const buffer = await readFile(new URL("../Watchdog Model/watchdog_head.glb", import.meta.url));
+  const glb = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+  const { avatar } = await avatarWith(glb);
+  for (const name of ["Head", "Jaw", "LeftEye", "RightEye"]) {
+    assert.ok(avatar.gltf.scene.getObjectByName(name), name);
+  }
+  // No morph targets: blendshapes are ignored rather than failing.
+  assert.equal(avatar.morphTargetMeshes.length, 0);
+  avatar.updateBlendshapes(retarget(faceResult({ jawOpen: 0.5 }).faceBlendshapes));
+  avatar.applyMatrix(faceMatrix(), { scale: 4 });
+  assertMatrixClose(avatar.gltf.scene.matrix, avatar.poseMatrix(faceMatrix(), { scale: 4 }));
+});
@@ -0,0 +1,132 @@
+/**
+ * Test fixtures: FaceLandmarker-shaped results, takes recorded from them, a
+ * small GLB with morph targets built in memory (the bundled watchdog head has
+ * none), and shared assertions.
+ */
+
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { MEDIAPIPE_BLENDSHAPES } from "../lib/retarget.js";
+import { parseTake, TakeRecorder } from "../lib/takes.js";
+
+// One face as FaceLandmarker.detectForVideo returns it. scores: category →
+// score (the rest are 0); matrix: a THREE.Matrix4 (default: a head 50 cm in
+// front of the camera, face matrix scale 1).
+export function faceResult(scores = {}, matrix = faceMatrix()) {
+  const categories = ["_neutral", ...MEDIAPIPE_BLENDSHAPES].map((categoryName, index) => ({
+    index,
+    score: scores[categoryName] ?? 0,
+    categoryName,
+    displayName: "",
+  }));
+  return {
+    faceLandmarks: [],
+    faceBlendshapes: [{ categories, headIndex: -1, headName: "" }],
+    facialTransformationMatrixes: [{ rows: 4, columns: 4, data: matrix.toArray() }],
+  };
+}
+
+// A face matrix from a position (cm), Euler angles in degrees (YXZ, as
+// mapHeadPose reads them) and a uniform scale.
+export function faceMatrix(pose = {}) {
+  const { position = [0, 0, -50], yaw = 0, pitch = 0, roll = 0, scale = 1 } = pose;
+  const euler = new THREE.Euler(
+    THREE.MathUtils.degToRad(pitch),
+    THREE.MathUtils.degToRad(yaw),
+    THREE.MathUtils.degToRad(roll),
+    "YXZ"
+  );
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3(...position),
+    new THREE.Quaternion().setFromEuler(euler),
+    new THREE.Vector3(scale, scale, scale)
+  );
+}
+
+// A take recorded by TakeRecorder from [time, result] pairs, parsed back the
+// way a loaded take file is.
+export function recordTake(frames) {
+  const recorder = new TakeRecorder();
+  recorder.start();
+  for (const [time, result] of frames) recorder.capture(result, time);
+  return parseTake(recorder.stop());
+}
+
+// A GLB with one triangle mesh ("Face") under a "Head" node, with a morph
+// target per name, each moving one vertex. Returns an ArrayBuffer.
+export function morphTargetGlb(morphTargets = ["jawOpen", "eyeBlinkLeft", "MouthOpen"]) {
+  const base = [0, 0, 0, 1, 0, 0, 0, 1, 0];
+  const deltas = morphTargets.map((_, i) => {
+    const delta = new Array(9).fill(0);
+    delta[(i % 3) * 3 + 2] = 0.1;
+    return delta;
+  });
+  const floats = new Float32Array([...base, ...deltas.flat()]);
+  const accessors = [base, ...deltas].map((values, i) => {
+    const min = [0, 1, 2].map((c) => Math.min(values[c], values[c + 3], values[c + 6]));
+    const max = [0, 1, 2].map((c) => Math.max(values[c], values[c + 3], values[c + 6]));
+    const byteOffset = i * 36;
+    return { bufferView: 0, byteOffset, componentType: 5126, count: 3, type: "VEC3", min, max };
+  });
+  const json = {
+    asset: { version: "2.0" },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ name: "Head", children: [1] }, { name: "Face", mesh: 0 }],
+    meshes: [
+      {
+        name: "FaceMesh",
+        primitives: [
+          {
+            attributes: { POSITION: 0 },
+            targets: morphTargets.map((_, i) => ({ POSITION: i + 1 })),
+          },
+        ],
+        weights: morphTargets.map(() => 0),
+        extras: { targetNames: morphTargets },
+      },
+    ],
+    accessors,
+    bufferViews: [{ buffer: 0, byteLength: floats.byteLength }],
+    buffers: [{ byteLength: floats.byteLength }],
+  };
+  return packGlb(json, new Uint8Array(floats.buffer));
+}
+
+// glTF binary container: header, JSON chunk, BIN chunk (each 4-byte aligned).
+function packGlb(json, bin) {
+  const pad = (length) => (length + 3) & ~3;
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+  const jsonLength = pad(jsonBytes.length);
+  const binLength = pad(bin.length);
+  const total = 12 + 8 + jsonLength + 8 + binLength;
+  const out = new Uint8Array(total);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, 0x46546c67, true); // "glTF"
+  view.setUint32(4, 2, true);
+  view.setUint32(8, total, true);
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, 0x4e4f534a, true); // "JSON"
+  out.fill(0x20, 20, 20 + jsonLength);
+  out.set(jsonBytes, 20);
+  const binStart = 20 + jsonLength;
+  view.setUint32(binStart, binLength, true);
+  view.setUint32(binStart + 4, 0x004e4942, true); // "BIN\0"
+  out.set(bin, binStart + 8);
+  return out.buffer;
+}
+
+// Parse a GLB (ArrayBuffer) the way Avatar.loadModel's loader would.
+export function parseGlb(buffer) {
+  return new GLTFLoader().parseAsync(buffer, "");
+}
+
+export function assertMatrixClose(actual, expected, epsilon = 1e-6) {
+  actual.elements.forEach((value, i) => {
+    assert.ok(
+      Math.abs(value - expected.elements[i]) < epsilon,
+      `element ${i}: ${value} !== ${expected.elements[i]}`
+    );
+  });
+}
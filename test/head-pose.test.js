@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { HEAD_POSE_DEFAULTS, HEAD_POSE_LOCK_POSITION } from "../lib/config.js";
+import { headAngles, mapHeadPose } from "../lib/head-pose.js";
+import { TrackingFilter } from "../lib/smoothing.js";
+import { assertMatrixClose, faceMatrix } from "./fixtures.js";
+
+const yawOf = (matrix) => THREE.MathUtils.radToDeg(headAngles(matrix).y);
+
+test("mapHeadPose drops the face matrix's scale", () => {
+  const pose = { position: [3, -2, -45], yaw: 20, pitch: -10 };
+  for (const scale of [0.5, 1, 1.5, 2]) {
+    const mapped = mapHeadPose(faceMatrix({ ...pose, scale }), HEAD_POSE_DEFAULTS);
+    assertMatrixClose(mapped, faceMatrix(pose));
+  }
+});
+
+test("head angles don't depend on the face matrix scale", () => {
+  for (const scale of [0.67, 1, 1.5, 2]) {
+    const euler = headAngles(faceMatrix({ yaw: 25, pitch: 40, roll: -10, scale }));
+    assert.ok(Math.abs(THREE.MathUtils.radToDeg(euler.x) - 40) < 1e-6, `pitch at ${scale}`);
+    assert.ok(Math.abs(THREE.MathUtils.radToDeg(euler.y) - 25) < 1e-6, `yaw at ${scale}`);
+    assert.ok(Math.abs(THREE.MathUtils.radToDeg(euler.z) + 10) < 1e-6, `roll at ${scale}`);
+  }
+});
+
+test("default head pose settings leave the matrix unchanged", () => {
+  const matrix = faceMatrix({ position: [3, -2, -45], yaw: 20, pitch: -10, roll: 5 });
+  assertMatrixClose(mapHeadPose(matrix, HEAD_POSE_DEFAULTS), matrix);
+});
+
+test("mirror flips x, yaw and roll", () => {
+  const matrix = faceMatrix({ position: [3, -2, -45], yaw: 20, roll: 5 });
+  const mirrored = mapHeadPose(matrix, { ...HEAD_POSE_DEFAULTS, mirror: true });
+  assertMatrixClose(mirrored, faceMatrix({ position: [-3, -2, -45], yaw: -20, roll: -5 }));
+});
+
+test("gain, offset and limits apply per axis", () => {
+  const settings = { ...HEAD_POSE_DEFAULTS, yawGain: 2, yawOffset: 5, yawMax: 30 };
+  assert.ok(Math.abs(yawOf(mapHeadPose(faceMatrix({ yaw: 10 }), settings)) - 25) < 1e-6);
+  assert.ok(Math.abs(yawOf(mapHeadPose(faceMatrix({ yaw: 20 }), settings)) - 30) < 1e-6);
+});
+
+test("lockPosition pins the head in place", () => {
+  const settings = { ...HEAD_POSE_DEFAULTS, lockPosition: true };
+  const position = new THREE.Vector3().setFromMatrixPosition(
+    mapHeadPose(faceMatrix({ position: [10, 5, -80] }), settings)
+  );
+  assert.deepEqual(position.toArray(), HEAD_POSE_LOCK_POSITION);
+});
+
+test("filterPose snaps to the first pose and passes through at strength 0", () => {
+  const filter = new TrackingFilter({ poseStrength: 0.5, blendshapeCutoff: 8 });
+  const matrix = faceMatrix({ position: [1, 2, -50], yaw: 15 });
+  assertMatrixClose(filter.filterPose(matrix, 0), matrix);
+
+  const off = new TrackingFilter({ poseStrength: 0, blendshapeCutoff: 8 });
+  assert.equal(off.filterPose(matrix, 0), matrix);
+});
+
+test("filterPose smooths a jump and snaps again after a gap", () => {
+  const filter = new TrackingFilter({ poseStrength: 0.5, blendshapeCutoff: 8 });
+  filter.filterPose(faceMatrix({ position: [0, 0, -50] }), 0);
+  const moved = filter.filterPose(faceMatrix({ position: [10, 0, -50], yaw: 30 }), 33);
+  const x = new THREE.Vector3().setFromMatrixPosition(moved).x;
+  assert.ok(x > 0 && x < 10, `x = ${x}`);
+  assert.ok(yawOf(moved) > 0 && yawOf(moved) < 30);
+
+  const target = faceMatrix({ position: [-10, 0, -50] });
+  assertMatrixClose(filter.filterPose(target, 2000), target);
+});
+
+test("filterBlendshapes low-passes each target", () => {
+  const filter = new TrackingFilter({ poseStrength: 0.5, blendshapeCutoff: 8 });
+  filter.filterBlendshapes(new Map([["jawOpen", 0]]), 0);
+  const next = filter.filterBlendshapes(new Map([["jawOpen", 1]]), 16).get("jawOpen");
+  assert.ok(next > 0 && next < 1, `jawOpen = ${next}`);
+});
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  compileRetargetProfile,
+  getRetargetProfileUrl,
+  MEDIAPIPE_BLENDSHAPES,
+  retarget,
+} from "../lib/retarget.js";
+import { faceResult } from "./fixtures.js";
+
+const blendshapesOf = (scores) => faceResult(scores).faceBlendshapes;
+
+test("default profile applies the per-group gains and clamps to 1", () => {
+  const map = retarget(blendshapesOf({ jawOpen: 0.2, eyeBlinkLeft: 0.5, cheekPuff: 0.3 }));
+  assert.ok(Math.abs(map.get("jawOpen") - 0.44) < 1e-9);
+  assert.ok(Math.abs(map.get("eyeBlinkLeft") - 0.6) < 1e-9);
+  assert.ok(Math.abs(map.get("cheekPuff") - 0.3) < 1e-9);
+  assert.equal(retarget(blendshapesOf({ mouthSmileLeft: 0.9 })).get("mouthSmileLeft"), 1);
+});
+
+test("every MediaPipe category passes through to a morph target of the same name", () => {
+  const map = retarget(blendshapesOf({}));
+  for (const name of MEDIAPIPE_BLENDSHAPES) assert.equal(map.get(name), 0, name);
+});
+
+test("profile targets, dead zone, curve and clamp", () => {
+  const profile = {
+    version: 1,
+    passthrough: false,
+    categories: {
+      jawOpen: { gain: 1, deadZone: 0.2, curve: 2, targets: ["MouthOpen"] },
+      mouthSmileLeft: { gain: 1, clamp: [0, 0.5], targets: [{ name: "Smile", weight: 0.5 }] },
+      mouthSmileRight: { gain: 1, targets: [{ name: "Smile", weight: 0.5 }] },
+      eyeBlinkLeft: { gain: 1, curve: [[0, 0], [0.5, 1]], targets: ["Blink_L"] },
+    },
+  };
+  const map = retarget(
+    blendshapesOf({ jawOpen: 0.6, mouthSmileLeft: 0.8, mouthSmileRight: 0.8, eyeBlinkLeft: 0.25 }),
+    null,
+    profile
+  );
+  assert.ok(Math.abs(map.get("MouthOpen") - 0.25) < 1e-9); // ((0.6 - 0.2) / 0.8)²
+  assert.ok(Math.abs(map.get("Smile") - (0.5 * 0.5 + 0.8 * 0.5)) < 1e-9);
+  assert.ok(Math.abs(map.get("Blink_L") - 0.5) < 1e-9);
+  assert.equal(map.has("jawOpen"), false);
+  assert.equal(retarget(blendshapesOf({ jawOpen: 0.1 }), null, profile).get("MouthOpen"), 0);
+});
+
+test("mirror swaps Left and Right categories", () => {
+  const profile = { version: 1, mirror: true };
+  const map = retarget(blendshapesOf({ eyeBlinkLeft: 0.5 }), null, profile);
+  assert.equal(map.get("eyeBlinkRight"), 0.5);
+  assert.equal(map.get("eyeBlinkLeft"), 0);
+});
+
+test("calibration normalizes scores before the profile", () => {
+  const calibration = {
+    profile: {},
+    normalize: (name, score, gain) => (name === "jawOpen" ? 1 : score * gain),
+  };
+  assert.equal(retarget(blendshapesOf({ jawOpen: 0.05 }), calibration).get("jawOpen"), 1);
+});
+
+test("malformed profiles are rejected", () => {
+  assert.throws(() => compileRetargetProfile({ version: 2 }), /unsupported/);
+  assert.throws(() => compileRetargetProfile({ version: 1, rules: {} }), /must be an array/);
+  const withRule = (rule) => ({ version: 1, rules: [rule] });
+  assert.throws(() => compileRetargetProfile(withRule({ gain: 2 })), /'match' string/);
+  assert.throws(() => compileRetargetProfile(withRule({ match: "jaw", clamp: 1 })), /'clamp'/);
+  const withEntry = (entry) => ({ version: 1, categories: { jawOpen: entry } });
+  const rejects = (entry, pattern) =>
+    assert.throws(() => compileRetargetProfile(withEntry(entry)), pattern);
+  rejects({ targets: "MouthOpen" }, /'targets'/);
+  rejects({ targets: [{ weight: 1 }] }, /'targets'/);
+  rejects({ clamp: 0.9 }, /'clamp'/);
+  rejects({ clamp: [0, "1"] }, /'clamp'/);
+  rejects({ curve: "ease" }, /'curve'/);
+  rejects({ curve: [[0, 0], [1]] }, /'curve'/);
+  rejects({ deadZone: 1 }, /'deadZone'/);
+  rejects({ gain: "2" }, /'gain'/);
+  rejects(null, /must be an object/);
+  const valid = {
+    targets: ["MouthOpen", { name: "Teeth", weight: 0.5 }],
+    clamp: [0, 0.9],
+    curve: [[0, 0], [1, 1]],
+    deadZone: 0.05,
+  };
+  assert.doesNotThrow(() => compileRetargetProfile(withEntry(valid)));
+});
+
+test("profile URL sits next to the model", () => {
+  assert.equal(getRetargetProfileUrl("models/dog.glb?v=2"), "models/dog.retarget.json?v=2");
+  assert.equal(getRetargetProfileUrl("a/b.GLTF"), "a/b.retarget.json");
+});
@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { AVATAR_SCALE } from "../lib/config.js";
+import { Avatar } from "../lib/avatar.js";
+import { Calibrator } from "../lib/calibration.js";
+import { parseTake, TakePlayer, takeFrameToResult } from "../lib/takes.js";
+import { FaceTracker, resultFaces } from "../lib/tracking.js";
+import {
+  assertMatrixClose,
+  faceMatrix,
+  faceResult,
+  morphTargetGlb,
+  parseGlb,
+  recordTake,
+} from "./fixtures.js";
+
+const FRAME_MS = 1000 / 30;
+
+// A take at 30 fps: pose(t) and scores(t) give each frame's face.
+function takeOf(durationMs, pose, scores) {
+  const frames = [];
+  for (let t = 0; t <= durationMs; t += FRAME_MS) {
+    frames.push([t, faceResult(scores(t), faceMatrix(pose(t)))]);
+  }
+  return recordTake(frames);
+}
+
+// One avatar, driven by a FaceTracker as applyTrackingResult drives it.
+async function trackedAvatar() {
+  const avatar = new Avatar(null, new THREE.Scene(), { placeholder: false });
+  avatar.setModel(await parseGlb(morphTargetGlb()));
+  return { avatar, tracker: new FaceTracker(() => avatar) };
+}
+
+// Play a take the way the take source does: every render frame (60 fps) the
+// player's current frame goes through the tracker, then the motion layer runs.
+function replay(take, tracker, options = {}) {
+  const player = new TakePlayer(take, { loop: false });
+  let last = null;
+  for (let now = 0; !player.isFinished(now); now += 1000 / 60) {
+    const frame = player.frameAt(now);
+    if (frame !== last) {
+      last = frame;
+      const faces = resultFaces(takeFrameToResult(take, frame));
+      for (const { track, face } of tracker.update(faces, now)) track.apply(face, now, options);
+    }
+    tracker.animate(now);
+  }
+}
+
+function influence(avatar, name) {
+  const mesh = avatar.morphTargetMeshes.find((m) => name in m.morphTargetDictionary);
+  return mesh.morphTargetInfluences[mesh.morphTargetDictionary[name]];
+}
+
+test("a recorded take parses back into the results it was recorded from", () => {
+  const matrix = faceMatrix({ position: [2, 1, -40], yaw: 20 });
+  const take = recordTake([
+    [1000, faceResult({ jawOpen: 0.25 }, matrix)],
+    [1033, { facialTransformationMatrixes: [], faceBlendshapes: [] }],
+  ]);
+  assert.deepEqual(take.frames.map((frame) => frame.t), [0, 33]);
+  const [face] = resultFaces(takeFrameToResult(take, take.frames[0]));
+  assertMatrixClose(face.matrix, matrix, 1e-4);
+  const jaw = face.blendshapes[0].categories.find((c) => c.categoryName === "jawOpen");
+  assert.equal(jaw.score, 0.25);
+  assert.deepEqual(resultFaces(takeFrameToResult(take, take.frames[1])), []);
+
+  const player = new TakePlayer(take);
+  assert.equal(player.frameAt(40), take.frames[0]); // loops: 40 ms is 7 ms in
+  assert.equal(new TakePlayer(take, { loop: false }).isFinished(40), true);
+});
+
+test("malformed takes are rejected", () => {
+  assert.throws(() => parseTake(""), /empty/);
+  assert.throws(() => parseTake('{"format":"other"}'), /not a watchdog take/);
+  const header = '{"format":"watchdog-take","version":1,"categories":[]}';
+  assert.throws(() => parseTake(`${header}\n{"m":[]}`), /no timestamp/);
+  assert.throws(() => parseTake(`${header}\n{"t":0,"m":[1,0,0]}`), /not 4x4/);
+});
+
+test("a replayed take drives the avatar through tracking and motion", async () => {
+  const { avatar, tracker } = await trackedAvatar();
+  // Turns to 20° over half a second, then holds still with the jaw open.
+  const take = takeOf(
+    1500,
+    (t) => ({ position: [2, 1, -40], yaw: 20 * Math.min(1, t / 500) }),
+    () => ({ jawOpen: 0.4 })
+  );
+  replay(take, tracker);
+  const expected = faceMatrix({ position: [2, 1, -40], yaw: 20 });
+  expected.scale(new THREE.Vector3().setScalar(AVATAR_SCALE));
+  assertMatrixClose(avatar.gltf.scene.matrix, expected, 1e-3);
+  // Default profile: jawOpen × 2.2.
+  const jaw = influence(avatar, "jawOpen");
+  assert.ok(Math.abs(jaw - 0.88) < 0.01, `jawOpen = ${jaw}`);
+});
+
+test("a calibration recorded from a take makes the user's rest pose frontal", async () => {
+  // Looking down at a camera 12° below eye level, jaw slightly open at rest
+  // and wide open during the mouth step (2–4 s).
+  const pose = () => ({ position: [0, 0, -50], pitch: -12 });
+  const session = takeOf(12000, pose, (t) => ({ jawOpen: t > 2100 && t < 4000 ? 0.5 : 0.05 }));
+  const calibrator = new Calibrator();
+  calibrator.start();
+  for (const frame of session.frames) {
+    const [face] = resultFaces(takeFrameToResult(session, frame));
+    calibrator.observe(face.matrix, face.blendshapes[0].categories, frame.t);
+  }
+  assert.equal(calibrator.state, "success");
+
+  const { avatar, tracker } = await trackedAvatar();
+  replay(takeOf(1500, pose, () => ({ jawOpen: 0.275 })), tracker, { calibration: calibrator });
+  const expected = faceMatrix({ position: [0, 0, -50] });
+  expected.scale(new THREE.Vector3().setScalar(AVATAR_SCALE));
+  assertMatrixClose(avatar.gltf.scene.matrix, expected, 1e-3);
+  // Halfway between this user's rest (0.05) and widest (0.5).
+  const jaw = influence(avatar, "jawOpen");
+  assert.ok(Math.abs(jaw - 0.5) < 0.01, `jawOpen = ${jaw}`);
+});